@@ -0,0 +1,382 @@
+(function () {
+    'use strict';
+
+    /**
+     * Standard Technic gear pieces by teeth count.
+     * Worm gears (1 tooth) come in two sizes; `bevel` marks sizes that exist
+     * as bevel or double-bevel gear pieces and can mesh at a right angle.
+     */
+    const STANDARD_TEETH = [
+        { value: '1(1L)', label: '1(1L)', numeric: 0.75, isWorm: true, radius: 0.75 },
+        { value: '1(2L)', label: '1(2L)', numeric: 0.5, isWorm: true, radius: 0.5 },
+        { value: 8, label: '8', numeric: 8, isWorm: false, radius: 0.5 },
+        { value: 12, label: '12', numeric: 12, isWorm: false, radius: 0.75, bevel: true },
+        { value: 16, label: '16', numeric: 16, isWorm: false, radius: 1 },
+        { value: 20, label: '20', numeric: 20, isWorm: false, radius: 1.25, bevel: true },
+        { value: 24, label: '24', numeric: 24, isWorm: false, radius: 1.5 },
+        { value: 28, label: '28', numeric: 28, isWorm: false, radius: 1.75, bevel: true },
+        { value: 36, label: '36', numeric: 36, isWorm: false, radius: 2.25, bevel: true },
+        { value: 40, label: '40', numeric: 40, isWorm: false, radius: 2.5 }
+    ];
+
+    /**
+     * Knob wheel (32072): meshes only with another knob wheel at a right angle,
+     * each knob wheel one stud from the other's axle.
+     */
+    const KNOB_WHEEL = { value: 'knob', label: 'Knob', numeric: 4, radius: 1 };
+
+    // Bevel and double-bevel gear pieces are half a stud thick and mesh on the face
+    // toward the other axle, so their centers sit a quarter stud beyond the pitch cone
+    const BEVEL_FACE_OFFSET = 0.25;
+
+    // One plate in studs; an offset along the vertical may be stacked from plates
+    const PLATE = 0.4;
+
+    // Teeth reach one module (1 mm = 1/8 stud) beyond the pitch radius
+    const TOOTH_TIP = 0.125;
+
+    // The gear train search stops after this many trains, or after trying this many gear pieces
+    const MAX_GEAR_TRAINS = 2000;
+    const MAX_GEAR_TRAIN_STEPS = 200000;
+
+    /**
+     * Catalog of real Technic gear parts by part number.
+     * `kind` decides how a part meshes: spur and double-bevel gear pieces mesh on
+     * parallel axles, bevel gear pieces and knob wheels only at a right angle, worm
+     * gear pieces only against a wheel at a right angle. Worms carry their
+     * STANDARD_TEETH value in `worm`.
+     */
+    const PARTS = [
+        { id: '10928', name: 'Gear 8 Tooth', kind: 'spur', teeth: 8 },
+        { id: '94925', name: 'Gear 16 Tooth', kind: 'spur', teeth: 16 },
+        { id: '3648', name: 'Gear 24 Tooth', kind: 'spur', teeth: 24 },
+        { id: '3649', name: 'Gear 40 Tooth', kind: 'spur', teeth: 40 },
+        { id: '32270', name: 'Gear 12 Tooth Double Bevel', kind: 'double-bevel', teeth: 12 },
+        { id: '32269', name: 'Gear 20 Tooth Double Bevel', kind: 'double-bevel', teeth: 20 },
+        { id: '46372', name: 'Gear 28 Tooth Double Bevel', kind: 'double-bevel', teeth: 28 },
+        { id: '32498', name: 'Gear 36 Tooth Double Bevel', kind: 'double-bevel', teeth: 36 },
+        { id: '6589', name: 'Gear 12 Tooth Bevel', kind: 'bevel', teeth: 12 },
+        { id: '87407', name: 'Gear 20 Tooth Bevel', kind: 'bevel', teeth: 20 },
+        { id: '32072', name: 'Knob Wheel', kind: 'knob', teeth: 4 },
+        { id: '27938', name: 'Worm Gear 1L', kind: 'worm', teeth: 1, worm: '1(1L)' },
+        { id: '4716', name: 'Worm Gear 2L', kind: 'worm', teeth: 1, worm: '1(2L)' }
+    ];
+
+    /**
+     * Calculate center distance between two gears
+     * @param {string|number} gearA - Gear A teeth
+     * @param {string|number} gearB - Gear B teeth
+     * @returns {number} Center distance in studs
+     */
+    function calculateCenterDistance(gearA, gearB) {
+        if (gearA === '1(1L)') {
+            return 0.75 + (gearB / 16);
+        } else if (gearA === '1(2L)') {
+            return 0.5 + (gearB / 16);
+        } else {
+            return (gearA + gearB) / 16;
+        }
+    }
+
+    /**
+     * Find all valid mounting positions for a gear pair
+     * @param {number} dist - Ideal center distance
+     * @param {number} maxOverfit - Maximum overfit tolerance
+     * @param {number} maxUnderfit - Maximum underfit tolerance
+     * @returns {Object} Object with exact, overfit, and underfit arrays
+     */
+    function findMountingPositions(dist, maxOverfit, maxUnderfit) {
+        const exactList = [];
+        const overfitList = [];
+        const underfitList = [];
+
+        const maxCoord = Math.ceil(dist + maxOverfit + 1);
+
+        for (let x = 0; x <= maxCoord; x += 0.5) {
+            for (let y = 0; y <= x; y += 0.5) {
+                const actualDist = Math.sqrt(x * x + y * y);
+
+                // Skip if too far or too close
+                if (actualDist > dist + maxOverfit) continue;
+                if (actualDist < dist - maxUnderfit) continue;
+                if (actualDist === 0) continue;
+
+                const diff = actualDist - dist;
+
+                if (Math.abs(diff) < 0.0001) {
+                    exactList.push({ x, y, dist: actualDist });
+                } else if (diff > 0) {
+                    overfitList.push({ x, y, dist: actualDist });
+                } else {
+                    underfitList.push({ x, y, dist: actualDist });
+                }
+            }
+        }
+
+        return { exact: exactList, overfit: overfitList, underfit: underfitList };
+    }
+
+    /**
+     * Ideal axle offsets for two gear pieces meshing on perpendicular axles.
+     * Axle A runs along x and axle B along y: x is how far gear piece A sits from
+     * axle B, y how far gear piece B sits from axle A, z the gap between the axles.
+     * Bevel gear pieces (and two knob wheels) mesh on crossing axles, each one about
+     * the other's pitch radius away from the crossing; a worm drives a wheel across the
+     * center distance with the wheel centered on the worm axle.
+     * @param {string|number} gearA - Gear A teeth, worm designation or 'knob'
+     * @param {string|number} gearB - Gear B teeth or 'knob'
+     * @returns {Object|null} {kind: 'bevel'|'knob'|'worm', x, y, z} in studs, or null if the pair cannot mesh at a right angle
+     */
+    function calculatePerpendicularOffset(gearA, gearB) {
+        const toothA = STANDARD_TEETH.find(t => t.value === gearA);
+        const toothB = STANDARD_TEETH.find(t => t.value === gearB);
+
+        if (toothB && toothB.isWorm) return null;
+        if (gearA === KNOB_WHEEL.value || gearB === KNOB_WHEEL.value) {
+            if (gearA !== gearB) return null;
+            return { kind: 'knob', x: KNOB_WHEEL.radius, y: KNOB_WHEEL.radius, z: 0 };
+        }
+        if (toothA && toothA.isWorm) {
+            return { kind: 'worm', x: 0, y: 0, z: calculateCenterDistance(gearA, gearB) };
+        }
+        if (toothA && toothA.bevel && toothB && toothB.bevel) {
+            return {
+                kind: 'bevel',
+                x: toothB.radius + BEVEL_FACE_OFFSET,
+                y: toothA.radius + BEVEL_FACE_OFFSET,
+                z: 0
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Grid values for one offset near its ideal: half studs, or whole plates
+     * that are not also half studs
+     * @param {number} ideal - Ideal offset in studs
+     * @param {number} maxOverfit - Maximum overfit tolerance
+     * @param {number} maxUnderfit - Maximum underfit tolerance
+     * @returns {Array} Array of {value, plates} (plates = true for a plate-only value)
+     */
+    function findOffsetValues(ideal, maxOverfit, maxUnderfit) {
+        const values = [];
+        const min = Math.max(0, ideal - maxUnderfit - 0.0001);
+        const max = ideal + maxOverfit + 0.0001;
+
+        for (let k = Math.ceil(min / 0.5); k * 0.5 <= max; k++) {
+            values.push({ value: k * 0.5, plates: false });
+        }
+        for (let k = Math.ceil(min / PLATE); k * PLATE <= max; k++) {
+            // Every fifth plate is a whole number of half studs (5 plates = 2 studs)
+            if (k % 5 !== 0) values.push({ value: Math.round(k * PLATE * 10) / 10, plates: true });
+        }
+        return values;
+    }
+
+    /**
+     * Find all valid 3D mounting positions for a perpendicular gear pair.
+     * Offsets lie on the half-stud grid; at most one of them, the one that runs
+     * vertically, may instead be a number of plates.
+     * @param {Object} offset - Ideal offsets from calculatePerpendicularOffset()
+     * @param {number} maxOverfit - Maximum overfit tolerance
+     * @param {number} maxUnderfit - Maximum underfit tolerance
+     * @returns {Object} Object with exact, overfit, and underfit arrays of {x, y, z, plateAxis, diff}
+     */
+    function findPerpendicularPositions(offset, maxOverfit, maxUnderfit) {
+        const exactList = [];
+        const overfitList = [];
+        const underfitList = [];
+
+        // Worm meshes only depend on the gap; bevel and knob meshes on the axle crossing
+        const meshAxes = offset.kind === 'worm' ? ['z'] : ['x', 'y'];
+        let candidates = [{ x: offset.x, y: offset.y, z: offset.z, plateAxis: null }];
+
+        for (const axis of meshAxes) {
+            const next = [];
+            for (const pos of candidates) {
+                for (const v of findOffsetValues(offset[axis], maxOverfit, maxUnderfit)) {
+                    if (v.plates && pos.plateAxis) continue;
+                    next.push({ ...pos, [axis]: v.value, plateAxis: v.plates ? axis : pos.plateAxis });
+                }
+            }
+            candidates = next;
+        }
+
+        for (const pos of candidates) {
+            const diffs = meshAxes.map(axis => pos[axis] - offset[axis]);
+            const under = Math.min(...diffs);
+            const over = Math.max(...diffs);
+
+            if (under < -0.0001) {
+                // A gear piece pushed into the other one jams, whatever the other offset
+                underfitList.push({ ...pos, diff: under });
+            } else if (over > 0.0001) {
+                overfitList.push({ ...pos, diff: over });
+            } else {
+                exactList.push({ ...pos, diff: 0 });
+            }
+        }
+
+        return { exact: exactList, overfit: overfitList, underfit: underfitList };
+    }
+
+    /**
+     * All mounting offsets of a gear pair in every direction, from the
+     * one-octant list of findMountingPositions()
+     * @param {number} dist - Ideal center distance
+     * @param {number} maxOverfit - Maximum overfit tolerance
+     * @param {number} maxUnderfit - Maximum underfit tolerance
+     * @returns {Array} Array of {dx, dy, diff}
+     */
+    function findMeshOffsets(dist, maxOverfit, maxUnderfit) {
+        const positions = findMountingPositions(dist, maxOverfit, maxUnderfit);
+        const offsets = new Map();
+
+        for (const pos of [...positions.exact, ...positions.overfit, ...positions.underfit]) {
+            for (const [x, y] of [[pos.x, pos.y], [pos.y, pos.x]]) {
+                for (const dx of x === 0 ? [0] : [x, -x]) {
+                    for (const dy of y === 0 ? [0] : [y, -y]) {
+                        offsets.set(`${dx},${dy}`, { dx, dy, diff: pos.dist - dist });
+                    }
+                }
+            }
+        }
+        return [...offsets.values()];
+    }
+
+    /**
+     * Find gear trains that connect two axle positions on the half-stud grid: a gear
+     * piece on the start axle, up to maxIdlers idlers on free axles in between and a
+     * gear piece on the end axle, all in one plane. Neighbouring gear pieces mesh
+     * within the tolerances; gear pieces further apart in the train must not touch.
+     * Worms are skipped. The search stops early (truncated) after MAX_GEAR_TRAINS trains
+     * or MAX_GEAR_TRAIN_STEPS gear pieces tried.
+     * @param {Object} start - Start axle position {x, y} in studs
+     * @param {Object} end - End axle position {x, y} in studs
+     * @param {Array} teeth - Teeth counts to use
+     * @param {number} maxIdlers - Maximum number of idlers
+     * @param {number} maxOverfit - Maximum overfit tolerance
+     * @param {number} maxUnderfit - Maximum underfit tolerance
+     * @param {number|null} [ratio=null] - Only keep trains with this ratio (start teeth / end teeth)
+     * @returns {Object} {trains, truncated}; each train has teeth, positions ({x, y} from start to end), diffs per mesh, ratio and reversed
+     */
+    function findGearTrains(start, end, teeth, maxIdlers, maxOverfit, maxUnderfit, ratio = null) {
+        const pieces = [...new Set(teeth.filter(t => typeof t === 'number' && t > 0))];
+        const trains = [];
+        if (pieces.length === 0 || (start.x === end.x && start.y === end.y)) {
+            return { trains: trains, truncated: false };
+        }
+
+        const radius = t => t / 16;
+        const maxRadius = radius(Math.max(...pieces));
+        const offsetCache = new Map();
+        const getOffsets = (a, b) => {
+            const key = `${a},${b}`;
+            if (!offsetCache.has(key)) {
+                offsetCache.set(key, findMeshOffsets(calculateCenterDistance(a, b), maxOverfit, maxUnderfit));
+            }
+            return offsetCache.get(key);
+        };
+
+        // A gear piece at pos must keep clear of every gear piece in the train but the one it meshes with
+        const isClear = (train, pos, t) => {
+            for (let i = 0; i < train.teeth.length - 1; i++) {
+                const other = train.positions[i];
+                const gap = Math.hypot(pos.x - other.x, pos.y - other.y);
+                if (gap < radius(t) + radius(train.teeth[i]) + 2 * TOOTH_TIP) return false;
+            }
+            return true;
+        };
+
+        let steps = 0;
+        const stopped = () => trains.length >= MAX_GEAR_TRAINS || steps >= MAX_GEAR_TRAIN_STEPS;
+
+        // Extend a train with idlers until it has numIdlers, then close it on the end axle
+        const extend = (train, numIdlers) => {
+            if (stopped()) return;
+            const lastTeeth = train.teeth[train.teeth.length - 1];
+            const last = train.positions[train.positions.length - 1];
+            const idlersLeft = numIdlers - (train.teeth.length - 1);
+
+            if (idlersLeft === 0) {
+                closeTrain(train, lastTeeth, last);
+                return;
+            }
+
+            for (const t of pieces) {
+                for (const offset of getOffsets(lastTeeth, t)) {
+                    steps++;
+                    const pos = { x: last.x + offset.dx, y: last.y + offset.dy };
+                    if (pos.x === end.x && pos.y === end.y) continue;
+
+                    // Skip idlers the remaining gear pieces cannot bridge to the end axle
+                    const reach = radius(t) + (2 * idlersLeft - 1) * maxRadius + idlersLeft * maxOverfit;
+                    if (Math.hypot(end.x - pos.x, end.y - pos.y) > reach + 0.0001) continue;
+                    if (!isClear(train, pos, t)) continue;
+
+                    extend({
+                        teeth: [...train.teeth, t],
+                        positions: [...train.positions, pos],
+                        diffs: [...train.diffs, offset.diff]
+                    }, numIdlers);
+                    if (stopped()) return;
+                }
+            }
+        };
+
+        // Close a train with a gear piece on the end axle
+        const closeTrain = (train, lastTeeth, last) => {
+            for (const t of pieces) {
+                if (ratio !== null && Math.abs(train.teeth[0] / t - ratio) > 0.0001) continue;
+                const dist = calculateCenterDistance(lastTeeth, t);
+                const diff = Math.hypot(end.x - last.x, end.y - last.y) - dist;
+                if (diff > maxOverfit + 0.0001 || diff < -maxUnderfit - 0.0001) continue;
+                if (!isClear(train, end, t)) continue;
+                trains.push({
+                    teeth: [...train.teeth, t],
+                    positions: [...train.positions, { x: end.x, y: end.y }],
+                    diffs: [...train.diffs, diff],
+                    ratio: train.teeth[0] / t,
+                    reversed: train.teeth.length % 2 === 1
+                });
+                if (trains.length >= MAX_GEAR_TRAINS) return;
+            }
+        };
+
+        // The ratio only depends on the first and last gear piece: skip start gear pieces no end gear piece matches
+        const startPieces = ratio === null
+            ? pieces
+            : pieces.filter(first => pieces.some(t => Math.abs(first / t - ratio) <= 0.0001));
+
+        // Fewer idlers first, so a truncated search keeps the shortest trains
+        for (let numIdlers = 0; numIdlers <= maxIdlers; numIdlers++) {
+            for (const t of startPieces) {
+                extend({ teeth: [t], positions: [{ x: start.x, y: start.y }], diffs: [] }, numIdlers);
+            }
+        }
+
+        // Fewest gear pieces first, then the best fit
+        const worstFit = train => Math.max(...train.diffs.map(Math.abs));
+        trains.sort((a, b) => a.teeth.length - b.teeth.length || worstFit(a) - worstFit(b));
+        return { trains: trains, truncated: stopped() };
+    }
+
+    const GearData = {
+        STANDARD_TEETH: STANDARD_TEETH,
+        KNOB_WHEEL: KNOB_WHEEL,
+        PLATE: PLATE,
+        PARTS: PARTS,
+        calculateCenterDistance: calculateCenterDistance,
+        findMountingPositions: findMountingPositions,
+        calculatePerpendicularOffset: calculatePerpendicularOffset,
+        findPerpendicularPositions: findPerpendicularPositions,
+        findGearTrains: findGearTrains
+    };
+
+    // Export to global namespace if in browser, as a CommonJS module under Node
+    if (typeof window !== 'undefined') {
+        window.GearData = GearData;
+    } else if (typeof module !== 'undefined' && module.exports) {
+        module.exports = GearData;
+    }
+})();
@@ -0,0 +1,2483 @@
+/**
+ * Gearbox Core - data model and solver of the Gearbox Calculator, without any DOM access.
+ * A design is a plain object { gearModes, tools, axles, shiftControls, subAssemblies, torqueLimits } as
+ * returned by parseDesign(); every function takes the design it works on, so several designs
+ * can be solved side by side. Gearbox synthesis and the built-in templates live here too, so they
+ * run and can be tested from Node. Loaded as a script it sets `window.GearboxCore`; under Node it
+ * is a CommonJS module (`require('./docs/lib/gearbox-core.js')`, or a default import from ES modules).
+ *
+ * TERMINOLOGY:
+ * - "gear mode" = overall gearbox operating mode (Mode 1, Mode 2, etc.) - DO NOT just call it "gear"
+ * - "gear piece" = individual circular component with teeth (Gear A, Gear B on couplings)
+ */
+(function () {
+    'use strict';
+
+    const isBrowser = typeof window !== 'undefined';
+    const Rational = isBrowser ? window.Rational : require('./rational.js');
+    const { STANDARD_TEETH, PARTS, calculateCenterDistance, findMountingPositions } = isBrowser ? window.GearData : require('./gear-data.js');
+
+    const WORM_GEARS = STANDARD_TEETH.filter(t => t.isWorm).map(t => t.value);
+    const SPUR_TEETH = STANDARD_TEETH.filter(t => !t.isWorm).map(t => t.value);
+    const BEVEL_TEETH = STANDARD_TEETH.filter(t => t.bevel).map(t => t.value);
+    const AXES = ['X', 'Y', 'Z'];
+    const MAX_GEAR_MODES = 24;
+
+    // Default mesh efficiency (%) per tool type; worm gears depend on the number of starts
+    const DEFAULT_EFFICIENCY = {
+        'coupling': 95,
+        'bevel': 90,
+        'clutch': 95,
+        'selector': 100,
+        'differential': 90,
+        'planetary': 90
+    };
+    const WORM_EFFICIENCY = { '1(1L)': 40, '1(2L)': 55 };
+
+    // Motor presets: no-load speed (rpm) and stall torque (N·cm) at 9 V; torque falls linearly
+    // from stall at 0 rpm to zero at the no-load speed
+    const MOTOR_PRESETS = {
+        'pf-m': { name: 'Power Functions M', noLoadRpm: 405, stallTorque: 6.8 },
+        'pf-l': { name: 'Power Functions L', noLoadRpm: 390, stallTorque: 18 },
+        'pf-xl': { name: 'Power Functions XL', noLoadRpm: 220, stallTorque: 40 },
+        'ev3-m': { name: 'EV3 Medium', noLoadRpm: 260, stallTorque: 12 },
+        'ev3-l': { name: 'EV3 Large', noLoadRpm: 175, stallTorque: 40 }
+    };
+    // Torque (N·cm) an axle or a gear piece carries before it twists or skips teeth
+    const DEFAULT_TORQUE_LIMITS = { axle: 30, gearPiece: 20 };
+    const GEAR_PIECE_TOOLS = ['coupling', 'bevel', 'worm', 'planetary'];
+
+    // Saved design format
+    const DESIGN_SCHEMA = 'technic-tools/gearbox';
+    // 2: multiple sources with speed/torque params, 3: bevel, worm and clutch tools, 4: planetary tool,
+    // 5: axle notes, output markers and pinning, 6: shift controls, 7: motor models and torque limits,
+    // 8: named gear modes (gearModes list instead of numGearModes), 9: sub-assemblies
+    const DESIGN_VERSION = 9;
+    const KNOWN_TOOL_TYPES = ['source', 'coupling', 'bevel', 'worm', 'clutch', 'selector', 'differential', 'planetary', 'assembly'];
+
+    // ==================== Data Model ====================
+
+    /**
+     * Axle class - represents a connection point between tools
+     */
+    class Axle {
+        constructor(id, name) {
+            this.id = id;
+            this.name = name;
+            this.position = null;   // graph node center {x, y} (null = auto layout)
+            this.notes = '';
+            this.isOutput = false;  // summarized at the top of the results
+            this.pinned = false;    // kept even when no tool is connected
+        }
+    }
+
+    /**
+     * Connection class - represents a connection point on a tool
+     */
+    class Connection {
+        constructor(name, tool) {
+            this.name = name;       // e.g., "Gear A", "Gear B", "Center", "A", "B", "Body"
+            this.tool = tool;       // parent tool reference
+            this.axleId = null;     // which axle this connects to (null = disconnected)
+        }
+    }
+
+    /**
+     * Tool class - represents a gearbox component
+     */
+    class Tool {
+        constructor(type, id) {
+            this.type = type;       // 'source', 'coupling', 'bevel', 'worm', 'clutch', 'selector', 'differential', 'planetary', 'assembly'
+            this.id = id;
+            this.connections = [];  // array of Connection
+            this.params = {};       // tool-specific parameters
+            this.status = {};       // per-gear-mode status: { gearModeNum: { error: string, flagged: bool } }
+            this.position = null;   // graph node top-left corner {x, y} (null = auto layout)
+        }
+    }
+
+    /**
+     * ShiftControl class - a shift drum or linked changeover catches that move several
+     * selectors together. The shift pattern (selection of each selector per gear mode)
+     * is stored in the selectors' mode params and edited here as one unit.
+     */
+    class ShiftControl {
+        constructor(id, name) {
+            this.id = id;
+            this.name = name;
+            this.selectorIds = [];  // ids of the linked selector tools
+        }
+    }
+
+    /**
+     * SubAssembly class - a reusable block of tools (e.g. a 2-speed range splitter) with gear
+     * modes of its own. Its ports are the inner axles it exposes. Every 'assembly' tool of the
+     * design is one instance: its connections (named after the ports) join the ports to parent
+     * axles and its `mode${g}` params pick the sub-assembly gear mode for each parent gear mode.
+     */
+    class SubAssembly {
+        constructor(id, name) {
+            this.id = id;
+            this.name = name;
+            this.gearModes = [];    // GearMode list of the sub-assembly
+            this.tools = [];        // inner tools (no sources or nested sub-assemblies)
+            this.axles = [];        // inner axles; ids are local to the sub-assembly
+            this.ports = [];        // exposed axles: [{ name, axleId }]
+        }
+    }
+
+    /**
+     * GearMode class - one overall operating mode of the gearbox. Gear modes are numbered by
+     * their position in design.gearModes (1-based); per-mode data such as selector selections
+     * (`mode${g}`), source overrides (`speed${g}`, `torque${g}`), tool.status and results are
+     * keyed by that number, so reordering remaps them (see moveGearMode()).
+     */
+    class GearMode {
+        constructor(name = '') {
+            this.name = name;       // optional, e.g. "Reverse" (empty = "Mode <number>")
+        }
+    }
+
+    /**
+     * Create an empty design with one axle, ready for scripting
+     * @param {number} [numGearModes] - Number of gear modes
+     * @returns {Object} Design in the form returned by parseDesign()
+     */
+    function createDesign(numGearModes = 3) {
+        return {
+            gearModes: Array.from({ length: numGearModes }, () => new GearMode()),
+            tools: [],
+            axles: [new Axle(1, 'Axle 1')],
+            nextToolId: 1,
+            nextAxleId: 2,
+            shiftControls: [],
+            nextShiftControlId: 1,
+            subAssemblies: [],
+            nextSubAssemblyId: 1,
+            torqueLimits: Object.assign({}, DEFAULT_TORQUE_LIMITS),
+            problems: []
+        };
+    }
+
+    /**
+     * Create a tool with the default connections and params for its type
+     * @param {string} type - Tool type
+     * @param {string} id - Tool id
+     * @param {number} [numGearModes] - Gear modes to give a selector Locked selections for
+     * @returns {Tool} The new tool (not yet added to the design)
+     */
+    function createTool(type, id, numGearModes = 1) {
+        const tool = new Tool(type, id);
+
+        // Set up connections and default params based on type
+        switch (type) {
+            case 'source':
+                tool.connections.push(new Connection('Output', tool));
+                tool.params.speed = 1;
+                tool.params.torque = 1;
+                tool.params.perModeValues = false;  // when true, speed${g}/torque${g} override per gear mode
+                break;
+            case 'coupling':
+                tool.connections.push(new Connection('Gear A', tool));
+                tool.connections.push(new Connection('Gear B', tool));
+                tool.params.teethA = 16;
+                tool.params.teethB = 16;
+                tool.params.invertDirection = true;
+                break;
+            case 'bevel':
+                tool.connections.push(new Connection('Gear A', tool));
+                tool.connections.push(new Connection('Gear B', tool));
+                tool.params.teethA = 12;
+                tool.params.teethB = 12;
+                tool.params.axisA = 'X';
+                tool.params.axisB = 'Y';
+                tool.params.invertDirection = true;
+                break;
+            case 'worm':
+                tool.connections.push(new Connection('Worm', tool));
+                tool.connections.push(new Connection('Wheel', tool));
+                tool.params.worm = '1(1L)';
+                tool.params.teethWheel = 24;
+                tool.params.invertDirection = true;
+                break;
+            case 'clutch':
+                tool.connections.push(new Connection('A', tool));
+                tool.connections.push(new Connection('B', tool));
+                tool.params.slipTorque = 2.5;
+                break;
+            case 'planetary':
+                tool.connections.push(new Connection('Sun', tool));
+                tool.connections.push(new Connection('Carrier', tool));
+                tool.connections.push(new Connection('Ring', tool));
+                tool.params.teethSun = 12;
+                tool.params.teethRing = 36;
+                break;
+            case 'selector':
+                tool.connections.push(new Connection('Center', tool));
+                tool.connections.push(new Connection('A', tool));
+                tool.connections.push(new Connection('B', tool));
+                for (let g = 1; g <= numGearModes; g++) {
+                    tool.params[`mode${g}`] = 'Locked';
+                }
+                break;
+            case 'differential':
+                tool.connections.push(new Connection('Body', tool));
+                tool.connections.push(new Connection('A', tool));
+                tool.connections.push(new Connection('B', tool));
+                break;
+        }
+
+        return tool;
+    }
+
+    /**
+     * Display name of a tool type
+     * @param {string} type - Tool type
+     * @returns {string} Name such as "Bevel Coupling"
+     */
+    function getToolTypeName(type) {
+        const names = {
+            'source': 'Source Axle',
+            'coupling': 'Coupling',
+            'bevel': 'Bevel Coupling',
+            'worm': 'Worm Gear',
+            'clutch': 'Clutch Gear',
+            'selector': 'Selector',
+            'differential': 'Differential',
+            'planetary': 'Planetary',
+            'assembly': 'Sub-assembly'
+        };
+        return names[type] || type;
+    }
+
+    /**
+     * Label a tool for messages, numbered so e.g. two couplings can be told apart.
+     * Sub-assembly instances are named after their sub-assembly, and the inlined tools
+     * of an instance (see expandAssemblies()) after the instance.
+     * @param {Object} design - The design
+     * @param {string} toolId - Tool id
+     * @returns {string} Label such as "Coupling #3" or "Splitter #5 › Coupling #1"
+     */
+    function getToolLabel(design, toolId) {
+        const tool = design.tools.find(t => t.id === toolId);
+        if (!tool) return toolId;
+
+        const slash = tool.id.lastIndexOf('/');
+        const match = /^tool_(\d+)$/.exec(tool.id.slice(slash + 1));
+        const assembly = getSubAssembly(design, tool);
+        const name = assembly ? assembly.name : getToolTypeName(tool.type);
+        const label = match ? `${name} #${match[1]}` : name;
+        return slash >= 0 ? `${getToolLabel(design, tool.id.slice(0, slash))} › ${label}` : label;
+    }
+
+    /**
+     * Name of an axle, or "Axle <id>" for one that is not in the design
+     * @param {Object} design - The design
+     * @param {number} axleId - Axle id
+     * @returns {string} Axle name
+     */
+    function getAxleName(design, axleId) {
+        const axle = design.axles.find(a => a.id === axleId);
+        return axle ? axle.name : `Axle ${axleId}`;
+    }
+
+    /**
+     * Sub-assembly an 'assembly' tool is an instance of
+     * @param {Object} design - The design
+     * @param {Tool} tool - The tool
+     * @returns {SubAssembly|null} The sub-assembly, or null for other tools
+     */
+    function getSubAssembly(design, tool) {
+        if (tool.type !== 'assembly') return null;
+        return (design.subAssemblies || []).find(a => a.id === tool.params.assemblyId) || null;
+    }
+
+    /**
+     * Create an instance of a sub-assembly with one connection per port. Parent gear mode g
+     * uses sub-assembly gear mode g (the last one for parent gear modes beyond its count).
+     * @param {SubAssembly} assembly - The sub-assembly
+     * @param {string} id - Tool id
+     * @param {number} numGearModes - Gear modes of the design the instance is for
+     * @returns {Tool} The new 'assembly' tool (not yet added to the design)
+     */
+    function createAssemblyTool(assembly, id, numGearModes) {
+        const tool = new Tool('assembly', id);
+        for (const port of assembly.ports) {
+            tool.connections.push(new Connection(port.name, tool));
+        }
+        tool.params.assemblyId = assembly.id;
+        for (let g = 1; g <= numGearModes; g++) {
+            tool.params[`mode${g}`] = Math.min(g, assembly.gearModes.length);
+        }
+        return tool;
+    }
+
+    /**
+     * Label a gear mode for display: its name, or "Mode <number>" if it has none
+     * @param {Object} design - The design
+     * @param {number} gearModeNum - Gear mode number (1-based)
+     * @returns {string} Label such as "Reverse" or "Mode 2"
+     */
+    function getGearModeLabel(design, gearModeNum) {
+        const mode = design.gearModes[gearModeNum - 1];
+        return mode && mode.name ? mode.name : `Mode ${gearModeNum}`;
+    }
+
+    /**
+     * Renumber the per-gear-mode params of every tool (selector selections, source overrides)
+     * @param {Object} design - The design
+     * @param {Function} mapMode - Old gear mode number -> new number, or null to drop its values
+     */
+    function remapGearModeParams(design, mapMode) {
+        for (const tool of design.tools) {
+            const moved = {};
+            for (const key of Object.keys(tool.params)) {
+                const match = /^(mode|speed|torque)([1-9]\d*)$/.exec(key);
+                if (!match) continue;
+                const g = mapMode(parseInt(match[2]));
+                if (g !== null) moved[`${match[1]}${g}`] = tool.params[key];
+                delete tool.params[key];
+            }
+            Object.assign(tool.params, moved);
+        }
+    }
+
+    /**
+     * Move a gear mode to another position, taking its selections and source values along
+     * @param {Object} design - The design
+     * @param {number} from - Gear mode number to move
+     * @param {number} to - Gear mode number it gets
+     */
+    function moveGearMode(design, from, to) {
+        const count = design.gearModes.length;
+        if (from < 1 || from > count || to < 1 || to > count || from === to) return;
+        const [mode] = design.gearModes.splice(from - 1, 1);
+        design.gearModes.splice(to - 1, 0, mode);
+        remapGearModeParams(design, g => {
+            if (g === from) return to;
+            if (from < to && g > from && g <= to) return g - 1;
+            if (from > to && g >= to && g < from) return g + 1;
+            return g;
+        });
+    }
+
+    /**
+     * Remove a gear mode; the gear modes after it move up one number
+     * @param {Object} design - The design
+     * @param {number} gearModeNum - Gear mode number to remove
+     */
+    function removeGearMode(design, gearModeNum) {
+        if (design.gearModes.length <= 1 || gearModeNum < 1 || gearModeNum > design.gearModes.length) return;
+        design.gearModes.splice(gearModeNum - 1, 1);
+        remapGearModeParams(design, g => g === gearModeNum ? null : (g > gearModeNum ? g - 1 : g));
+    }
+
+    // ==================== Sub-assemblies ====================
+
+    /**
+     * Sub-assembly gear mode an instance uses in a parent gear mode
+     * @param {Tool} tool - Sub-assembly instance
+     * @param {number} gearModeNum - Parent gear mode number
+     * @returns {number} Sub-assembly gear mode number
+     */
+    function getInstanceMode(tool, gearModeNum) {
+        return tool.params[`mode${gearModeNum}`] || 1;
+    }
+
+    /**
+     * Move tools of a design into a new sub-assembly and put an instance in their place.
+     * Axles the tools share with the rest of the design (or that are marked as outputs)
+     * become the ports; the others move into the sub-assembly. The sub-assembly gets the
+     * gear modes of the design, so the instance turns everything exactly as the tools did.
+     * @param {Object} design - The design, changed in place
+     * @param {string[]} toolIds - Tools to group (no sources or sub-assembly instances)
+     * @param {string} [name] - Sub-assembly name
+     * @returns {Tool} The new instance
+     * @throws {Error} If the tools cannot be grouped
+     */
+    function groupTools(design, toolIds, name) {
+        const grouped = design.tools.filter(t => toolIds.includes(t.id));
+        if (grouped.length === 0) {
+            throw new Error('No tools to group');
+        }
+        const invalid = grouped.find(t => t.type === 'source' || t.type === 'assembly');
+        if (invalid) {
+            throw new Error(`${getToolLabel(design, invalid.id)} cannot be part of a sub-assembly`);
+        }
+        const others = design.tools.filter(t => !grouped.includes(t));
+
+        const axleIds = [];
+        for (const tool of grouped) {
+            for (const conn of tool.connections) {
+                if (conn.axleId !== null && !axleIds.includes(conn.axleId)) axleIds.push(conn.axleId);
+            }
+        }
+        const portIds = axleIds.filter(id =>
+            others.some(t => t.connections.some(c => c.axleId === id)) ||
+            design.axles.some(a => a.id === id && a.isOutput));
+        if (portIds.length === 0) {
+            throw new Error('The tools share no axle with the rest of the design');
+        }
+
+        const assembly = new SubAssembly(design.nextSubAssemblyId, name || `Sub-assembly ${design.nextSubAssemblyId}`);
+        design.nextSubAssemblyId++;
+        assembly.gearModes = design.gearModes.map(mode => new GearMode(mode.name));
+        assembly.tools = grouped;
+        assembly.axles = axleIds.map(id => {
+            const axle = new Axle(id, getAxleName(design, id));
+            axle.notes = design.axles.find(a => a.id === id).notes;
+            return axle;
+        });
+        for (const id of portIds) {
+            // Ports name the connections of the instances, so they must be unique
+            const axleName = getAxleName(design, id);
+            const taken = assembly.ports.some(p => p.name === axleName);
+            assembly.ports.push({ name: taken ? `${axleName} (${id})` : axleName, axleId: id });
+        }
+
+        const instance = createAssemblyTool(assembly, `tool_${design.nextToolId}`, design.gearModes.length);
+        design.nextToolId++;
+        instance.connections.forEach((conn, i) => { conn.axleId = assembly.ports[i].axleId; });
+        instance.position = grouped[0].position;
+
+        // Arrays are changed in place, the UI passes a view on its state
+        design.tools.splice(design.tools.indexOf(grouped[0]), 0, instance);
+        for (const tool of grouped) {
+            design.tools.splice(design.tools.indexOf(tool), 1);
+        }
+        for (const id of axleIds.filter(id => !portIds.includes(id))) {
+            design.axles.splice(design.axles.findIndex(a => a.id === id), 1);
+        }
+        for (const control of design.shiftControls) {
+            control.selectorIds = control.selectorIds.filter(id => !toolIds.includes(id));
+        }
+        design.subAssemblies.push(assembly);
+        return instance;
+    }
+
+    /**
+     * Replace a sub-assembly instance with copies of the sub-assembly's tools, e.g. to edit
+     * them. Inner axles become new axles of the design; selectors get the selections of the
+     * sub-assembly gear mode the instance uses in each gear mode. The sub-assembly is kept.
+     * @param {Object} design - The design, changed in place
+     * @param {string} toolId - Sub-assembly instance
+     * @returns {Tool[]} The new tools
+     */
+    function ungroupTool(design, toolId) {
+        const instance = design.tools.find(t => t.id === toolId);
+        const assembly = instance && getSubAssembly(design, instance);
+        if (!assembly) return [];
+
+        const axleMap = new Map();  // inner axle id -> design axle id
+        for (const axle of assembly.axles) {
+            const port = assembly.ports.find(p => p.axleId === axle.id);
+            const conn = port && instance.connections.find(c => c.name === port.name);
+            if (conn && conn.axleId !== null) {
+                axleMap.set(axle.id, conn.axleId);
+            } else {
+                const copy = new Axle(design.nextAxleId++, axle.name);
+                copy.notes = axle.notes;
+                design.axles.push(copy);
+                axleMap.set(axle.id, copy.id);
+            }
+        }
+
+        const tools = assembly.tools.map(inner => {
+            const tool = createTool(inner.type, `tool_${design.nextToolId++}`);
+            Object.assign(tool.params, JSON.parse(JSON.stringify(inner.params)));
+            if (tool.type === 'selector') {
+                for (const key of Object.keys(tool.params).filter(k => /^mode\d+$/.test(k))) {
+                    delete tool.params[key];
+                }
+                for (let g = 1; g <= design.gearModes.length; g++) {
+                    tool.params[`mode${g}`] = getSelection(inner, getInstanceMode(instance, g));
+                }
+            }
+            for (const conn of tool.connections) {
+                const innerConn = inner.connections.find(c => c.name === conn.name);
+                conn.axleId = innerConn && innerConn.axleId !== null ? axleMap.get(innerConn.axleId) : null;
+            }
+            return tool;
+        });
+
+        design.tools.splice(design.tools.indexOf(instance), 1, ...tools);
+        return tools;
+    }
+
+    /**
+     * Inline the sub-assembly instances of a design for one gear mode. Inner tools get the id
+     * "<instance id>/<inner id>"; ports join the parent axles they are connected to, other
+     * inner axles get ids "<instance id>/<inner axle id>". Selectors get the selection of the
+     * sub-assembly gear mode the instance uses. The instances stay in the design (they add no
+     * constraints) so they are still checked for unconnected ports.
+     * @param {Object} design - The design
+     * @param {number} gearModeNum - Gear mode number
+     * @returns {Object} Design without sub-assembly constraints
+     */
+    function expandAssemblies(design, gearModeNum) {
+        const tools = [];
+        const axles = design.axles.slice();
+        for (const tool of design.tools) {
+            tools.push(tool);
+            const assembly = getSubAssembly(design, tool);
+            if (!assembly) continue;
+
+            const label = getToolLabel(design, tool.id);
+            const subMode = getInstanceMode(tool, gearModeNum);
+            const axleMap = new Map();
+            for (const axle of assembly.axles) {
+                const port = assembly.ports.find(p => p.axleId === axle.id);
+                const conn = port && tool.connections.find(c => c.name === port.name);
+                if (conn && conn.axleId !== null) {
+                    axleMap.set(axle.id, conn.axleId);
+                } else {
+                    const inner = new Axle(`${tool.id}/${axle.id}`, `${label} › ${axle.name}`);
+                    axles.push(inner);
+                    axleMap.set(axle.id, inner.id);
+                }
+            }
+
+            for (const inner of assembly.tools) {
+                const copy = new Tool(inner.type, `${tool.id}/${inner.id}`);
+                copy.params = Object.assign({}, inner.params);
+                if (copy.type === 'selector') {
+                    copy.params[`mode${gearModeNum}`] = getSelection(inner, subMode);
+                }
+                copy.connections = inner.connections.map(c => {
+                    const conn = new Connection(c.name, copy);
+                    conn.axleId = c.axleId === null ? null : axleMap.get(c.axleId);
+                    return conn;
+                });
+                tools.push(copy);
+            }
+        }
+        return Object.assign({}, design, { tools: tools, axles: axles });
+    }
+
+    // ==================== Solver ====================
+
+    /**
+     * LinearSystem - incremental Gauss-Jordan elimination over axle speeds.
+     * Rows are kept in reduced row echelon form; each row remembers which
+     * tools contributed to it so conflicts can name every tool involved.
+     */
+    class LinearSystem {
+        constructor() {
+            this.rows = [];  // { pivot, coeffs: Map(varId -> Rational), rhs: Rational, sources: Set(toolId) }
+        }
+
+        /**
+         * Add the equation sum(coeffs[v] * v) = rhs. All arithmetic is exact.
+         * @param {Map} coeffs - Variable id -> coefficient (number or Rational)
+         * @param {number|Rational} rhs - Right-hand side
+         * @param {string} source - Id of the tool contributing the equation
+         * @returns {Object} { status: 'added'|'redundant'|'conflict', sources: Set(toolId) }
+         */
+        addEquation(coeffs, rhs, source) {
+            const row = { pivot: null, coeffs: new Map(), rhs: Rational.from(rhs), sources: new Set([source]) };
+            for (const [v, c] of coeffs) {
+                const coeff = Rational.from(c);
+                row.coeffs.set(v, (row.coeffs.get(v) || Rational.ZERO).add(coeff));
+            }
+
+            // Eliminate existing pivots from the new row
+            for (const other of this.rows) {
+                const factor = row.coeffs.get(other.pivot);
+                if (factor === undefined) continue;
+                for (const [v, c] of other.coeffs) {
+                    row.coeffs.set(v, (row.coeffs.get(v) || Rational.ZERO).sub(factor.mul(c)));
+                }
+                row.rhs = row.rhs.sub(factor.mul(other.rhs));
+                other.sources.forEach(s => row.sources.add(s));
+            }
+            for (const [v, c] of row.coeffs) {
+                if (c.isZero()) row.coeffs.delete(v);
+            }
+
+            if (row.coeffs.size === 0) {
+                return { status: row.rhs.isZero() ? 'redundant' : 'conflict', sources: row.sources };
+            }
+
+            // Normalize on the first remaining variable
+            row.pivot = row.coeffs.keys().next().value;
+            const pivotCoeff = row.coeffs.get(row.pivot);
+            for (const [v, c] of row.coeffs) {
+                row.coeffs.set(v, c.div(pivotCoeff));
+            }
+            row.rhs = row.rhs.div(pivotCoeff);
+
+            // Eliminate the new pivot from existing rows
+            for (const other of this.rows) {
+                const factor = other.coeffs.get(row.pivot);
+                if (factor === undefined) continue;
+                for (const [v, c] of row.coeffs) {
+                    const value = (other.coeffs.get(v) || Rational.ZERO).sub(factor.mul(c));
+                    if (value.isZero()) other.coeffs.delete(v);
+                    else other.coeffs.set(v, value);
+                }
+                other.rhs = other.rhs.sub(factor.mul(row.rhs));
+                row.sources.forEach(s => other.sources.add(s));
+            }
+
+            this.rows.push(row);
+            return { status: 'added', sources: row.sources };
+        }
+
+        /**
+         * Get the value of a variable if the equations determine it
+         * @param {number} varId - Variable id
+         * @returns {Rational|null} Value, or null if the variable is free
+         */
+        getValue(varId) {
+            const row = this.rows.find(r => r.pivot === varId);
+            if (!row || row.coeffs.size !== 1) return null;
+            return row.rhs;
+        }
+    }
+
+    /**
+     * Compute every gear mode of a design and store the tool statuses (tool.status[g]).
+     * With several sources, each result also holds what every source contributes on its own.
+     * @param {Object} design - The design
+     * @returns {Object} Gear mode -> result of computeGearMode() plus bySource: Map(sourceId -> result)
+     */
+    function computeDesign(design) {
+        for (const tool of design.tools) {
+            tool.status = {};
+        }
+
+        const allResults = {};
+        const sources = design.tools.filter(t => t.type === 'source');
+        for (let g = 1; g <= design.gearModes.length; g++) {
+            allResults[g] = computeGearMode(design, g);
+            for (const tool of design.tools) {
+                tool.status[g] = allResults[g].status.get(tool.id);
+            }
+
+            allResults[g].bySource = new Map();
+            if (sources.length > 1) {
+                for (const source of sources) {
+                    allResults[g].bySource.set(source.id, computeGearMode(design, g, source.id));
+                }
+            }
+        }
+        return allResults;
+    }
+
+    /**
+     * Compute one gear mode.
+     * Axle speeds are solved as a linear system: each source fixes its axle and
+     * every tool adds linear constraints between the speeds of its axles.
+     * Constraints that contradict earlier ones make the tools involved jammed
+     * (over-constrained); axles the system does not determine are free-spinning
+     * (under-constrained). Torque is then propagated outwards from the sources.
+     * Since the system is linear, the contribution of a single source is found by
+     * holding all other sources still (superposition). Sub-assembly instances are solved
+     * with their tools inlined; problems of inner tools are reported on the instance.
+     * @param {Object} design - The design
+     * @param {number} gearModeNum - Gear mode number
+     * @param {string} [onlySourceId] - Only this source turns; the others are held at speed 0
+     * Speeds and torques are solved exactly (speedExact, torqueExact as Rational); speed and torque are the nearest floats.
+     * @returns {Object} { axles: Map(axleId -> { speed, torque, speedExact, torqueExact, outputBy, efficiency }), jammed: [{ tools, axles }],
+     *                     free: axleId[], status: Map(toolId -> { error, flagged, message }) }
+     */
+    function computeGearMode(design, gearModeNum, onlySourceId = null) {
+        if (!design.tools.some(t => t.type === 'assembly')) {
+            return solveGearMode(design, gearModeNum, onlySourceId);
+        }
+
+        const flat = expandAssemblies(design, gearModeNum);
+        const results = solveGearMode(flat, gearModeNum, onlySourceId);
+        const ownerOf = toolId => toolId.split('/')[0];
+        const isDesignAxle = axleId => design.axles.some(a => a.id === axleId);
+
+        const status = new Map();
+        for (const tool of design.tools) {
+            const toolStatus = results.status.get(tool.id);
+            status.set(tool.id, toolStatus);
+            const assembly = getSubAssembly(design, tool);
+            if (!assembly || toolStatus.error) continue;
+            for (const [id, inner] of results.status) {
+                if (id === tool.id || ownerOf(id) !== tool.id) continue;
+                const innerLabel = getToolLabel(assembly, id.slice(tool.id.length + 1));
+                if (inner.error) {
+                    toolStatus.error = `${innerLabel}: ${inner.error}`;
+                    break;
+                }
+                if (inner.flagged && !toolStatus.flagged) {
+                    toolStatus.flagged = true;
+                    toolStatus.message = `${innerLabel}: ${inner.message}`;
+                }
+            }
+        }
+
+        // Only the design's own axles are reported; inner tools drive through their instance
+        const axleValues = new Map();
+        for (const [axleId, value] of results.axles) {
+            if (!isDesignAxle(axleId)) continue;
+            axleValues.set(axleId, Object.assign({}, value, { outputBy: value.outputBy === null ? null : ownerOf(value.outputBy) }));
+        }
+        const jammed = results.jammed.map(j => ({
+            tools: [...new Set(j.tools.map(ownerOf))],
+            axles: j.axles.filter(isDesignAxle)
+        }));
+        return { axles: axleValues, jammed: jammed, free: results.free.filter(isDesignAxle), status: status };
+    }
+
+    /**
+     * Solve one gear mode of a design whose tools all add their own constraints
+     * (see computeGearMode(), which inlines sub-assembly instances first)
+     * @param {Object} design - The design
+     * @param {number} gearModeNum - Gear mode number
+     * @param {string} [onlySourceId] - Only this source turns
+     * @returns {Object} Same as computeGearMode()
+     */
+    function solveGearMode(design, gearModeNum, onlySourceId = null) {
+        const system = new LinearSystem();
+        const jammed = [];
+        const status = new Map();
+
+        for (const tool of design.tools) {
+            status.set(tool.id, { error: null, flagged: false, message: null });
+        }
+        for (const [toolId, error] of getAxleOrientations(design).errors) {
+            status.get(toolId).error = error;
+        }
+        for (const tool of design.tools) {
+            if (tool.type === 'planetary' && getPlanetaryError(tool)) {
+                status.get(tool.id).error = getPlanetaryError(tool);
+            }
+            const mesh = tool.type === 'coupling' && getCouplingMesh(tool);
+            if (mesh && mesh.error) {
+                status.get(tool.id).error = mesh.error;
+            } else if (mesh && mesh.positions.length === 0) {
+                status.get(tool.id).flagged = true;
+                status.get(tool.id).message = `No exact axle spacing for ${mesh.dist} studs`;
+            }
+        }
+
+        const addConstraint = (tool, coeffs, rhs) => {
+            const result = system.addEquation(coeffs, rhs, tool.id);
+            if (result.status !== 'conflict') return;
+
+            const involved = design.tools.filter(t => result.sources.has(t.id));
+            const involvedAxles = new Set();
+            for (const t of involved) {
+                const others = involved.filter(o => o !== t).map(o => getToolLabel(design, o.id));
+                const toolStatus = status.get(t.id);
+                if (!toolStatus.error) {  // Keep geometry errors, they are usually the cause
+                    toolStatus.error = others.length > 0 ? `Jammed with ${others.join(', ')}` : 'Jammed';
+                }
+                t.connections.forEach(c => { if (c.axleId !== null) involvedAxles.add(c.axleId); });
+            }
+            jammed.push({ tools: involved.map(t => t.id), axles: [...involvedAxles] });
+        };
+
+        // Hard constraints from the sources and all tools
+        for (const tool of design.tools) {
+            const held = onlySourceId !== null && tool.type === 'source' && tool.id !== onlySourceId;
+            for (const constraint of getToolConstraints(tool, gearModeNum)) {
+                if (held) constraint.rhs = 0;
+                addConstraint(tool, constraint.coeffs, constraint.rhs);
+            }
+        }
+
+        // Locked selectors hold still whatever no other tool determines
+        for (const tool of design.tools) {
+            if (tool.type !== 'selector' || getSelection(tool, gearModeNum) !== 'Locked') continue;
+            for (const conn of tool.connections) {
+                if (conn.axleId !== null && system.getValue(conn.axleId) === null) {
+                    addConstraint(tool, new Map([[conn.axleId, 1]]), 0);
+                }
+            }
+        }
+
+        // Collect solved speeds
+        const axleValues = new Map();  // axleId -> { speed, torque, speedExact, torqueExact, outputBy: toolId, efficiency: 0..1 }
+        const free = [];
+        for (const axle of design.axles) {
+            if (!design.tools.some(t => t.connections.some(c => c.axleId === axle.id))) continue;
+            const speed = system.getValue(axle.id);
+            if (speed === null) {
+                free.push(axle.id);
+            } else {
+                axleValues.set(axle.id, {
+                    speed: speed.toNumber(),
+                    torque: null,
+                    speedExact: speed,
+                    torqueExact: null,
+                    outputBy: null,
+                    efficiency: null
+                });
+            }
+        }
+
+        propagateTorque(design, gearModeNum, axleValues, status, onlySourceId);
+
+        // Gear pieces carrying more torque than they hold (physical units only)
+        if (usesPhysicalUnits(design)) {
+            const limits = design.torqueLimits || DEFAULT_TORQUE_LIMITS;
+            for (const tool of design.tools) {
+                if (!GEAR_PIECE_TOOLS.includes(tool.type) || status.get(tool.id).error) continue;
+                for (const conn of tool.connections) {
+                    const value = axleValues.get(conn.axleId);
+                    if (value && value.torque !== null && Math.abs(value.torque) > limits.gearPiece) {
+                        status.get(tool.id).flagged = true;
+                        status.get(tool.id).message = `${conn.name} carries ${Math.abs(value.torque).toFixed(1)} N·cm (limit ${limits.gearPiece})`;
+                        break;
+                    }
+                }
+            }
+        }
+
+        // Flag tools that are not fully connected or touch free-spinning axles
+        for (const tool of design.tools) {
+            const toolStatus = status.get(tool.id);
+            if (toolStatus.error) continue;
+            const freeConn = tool.connections.find(c => free.includes(c.axleId));
+            if (toolStatus.flagged) {
+                // Already flagged while propagating torque (e.g. a slipping clutch)
+                continue;
+            } else if (freeConn) {
+                toolStatus.flagged = true;
+                toolStatus.message = `Free-spinning ${getAxleName(design, freeConn.axleId)}`;
+            } else if (tool.connections.some(c => c.axleId === null && isConnectionUsed(tool, c, design.gearModes.length))) {
+                toolStatus.flagged = true;
+                toolStatus.message = 'Not connected';
+            }
+        }
+
+        return { axles: axleValues, jammed: jammed, free: free, status: status };
+    }
+
+    /**
+     * Solve a design and read the output:input speed ratios
+     * @param {Object} design - The design
+     * @param {number} inputAxleId - Input axle
+     * @param {number} outputAxleId - Output axle
+     * @returns {Array<Rational|null>} Exact ratio per gear mode (null if jammed or not determined)
+     */
+    function verifyDesignRatios(design, inputAxleId, outputAxleId) {
+        const ratios = [];
+        for (let g = 1; g <= design.gearModes.length; g++) {
+            const results = computeGearMode(design, g);
+            const input = results.axles.get(inputAxleId);
+            const output = results.axles.get(outputAxleId);
+            const ok = results.jammed.length === 0 && input && output && !input.speedExact.isZero();
+            ratios.push(ok ? output.speedExact.div(input.speedExact) : null);
+        }
+        return ratios;
+    }
+
+    function getSelection(tool, gearModeNum) {
+        return tool.params[`mode${gearModeNum}`] || 'Locked';
+    }
+
+    /**
+     * Get a source's output in a gear mode (per-mode values override the defaults).
+     * With a motor model the torque is the load torque and the speed follows from the
+     * linear torque–speed curve (rpm and N·cm).
+     * @param {Tool} tool - Source tool
+     * @param {number} gearModeNum - Gear mode number
+     * @returns {Object} { speed, torque } as Rationals
+     */
+    function getSourceOutput(tool, gearModeNum) {
+        let speed = tool.params.speed !== undefined ? tool.params.speed : 1;
+        let torque = tool.params.torque !== undefined ? tool.params.torque : 1;
+        if (tool.params.perModeValues) {
+            if (tool.params[`speed${gearModeNum}`] !== undefined) speed = tool.params[`speed${gearModeNum}`];
+            if (tool.params[`torque${gearModeNum}`] !== undefined) torque = tool.params[`torque${gearModeNum}`];
+        }
+        torque = Rational.from(torque);
+
+        const motor = getMotorModel(tool);
+        if (motor) {
+            // Stalled when the load reaches the stall torque
+            const load = Rational.ONE.sub(torque.div(Rational.from(motor.stallTorque)));
+            const speedExact = load.sign() > 0 ? Rational.from(motor.noLoadRpm).mul(load) : Rational.ZERO;
+            return { speed: speedExact, torque: torque };
+        }
+        return { speed: Rational.from(speed), torque: torque };
+    }
+
+    /**
+     * Motor model of a source: a preset or custom no-load speed and stall torque
+     * @param {Tool} tool - Source tool
+     * @returns {Object|null} { noLoadRpm, stallTorque }, or null for abstract units
+     */
+    function getMotorModel(tool) {
+        if (tool.params.motor === 'custom') {
+            return {
+                noLoadRpm: tool.params.noLoadRpm || MOTOR_PRESETS['pf-m'].noLoadRpm,
+                stallTorque: tool.params.stallTorque || MOTOR_PRESETS['pf-m'].stallTorque
+            };
+        }
+        return MOTOR_PRESETS[tool.params.motor] || null;
+    }
+
+    /**
+     * Results are in rpm, N·cm and W when every source uses a motor model
+     * @param {Object} design - The design
+     * @returns {boolean} True if speeds and torques are physical
+     */
+    function usesPhysicalUnits(design) {
+        const sources = design.tools.filter(t => t.type === 'source');
+        return sources.length > 0 && sources.every(t => getMotorModel(t));
+    }
+
+    /**
+     * Mechanical power of an axle
+     * @param {Object} value - Solved axle value (rpm and N·cm)
+     * @returns {number} Power in watts (magnitude, whatever the direction)
+     */
+    function getPowerWatts(value) {
+        return Math.abs((value.torque / 100) * (value.speed * 2 * Math.PI / 60));
+    }
+
+    /**
+     * Check whether a connection takes part in any gear mode. A selector side that no
+     * gear mode selects may stay unconnected (a one-sided selector).
+     * @param {Tool} tool - The tool
+     * @param {Connection} conn - One of its connections
+     * @param {number} numGearModes - Number of gear modes of the design
+     * @returns {boolean} True if the connection is used
+     */
+    function isConnectionUsed(tool, conn, numGearModes) {
+        if (tool.type !== 'selector' || conn.name === 'Center') return true;
+        for (let g = 1; g <= numGearModes; g++) {
+            if (getSelection(tool, g) === conn.name) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Get the two meshing gear pieces of a coupling, bevel coupling or worm gear
+     * @param {Tool} tool - The tool
+     * @returns {Object} { connA, connB, teethA, teethB, direction } - direction is -1 when the mesh reverses
+     */
+    function getMesh(tool) {
+        const invertDirection = tool.params.invertDirection !== undefined ? tool.params.invertDirection : true;
+        const direction = invertDirection ? -1 : 1;
+        if (tool.type === 'worm') {
+            // A worm gear has a single tooth
+            return { connA: 'Worm', connB: 'Wheel', teethA: 1, teethB: tool.params.teethWheel || 24, direction: direction };
+        }
+        const defaultTeeth = tool.type === 'bevel' ? 12 : 16;
+        return {
+            connA: 'Gear A',
+            connB: 'Gear B',
+            teethA: tool.params.teethA || defaultTeeth,
+            teethB: tool.params.teethB || defaultTeeth,
+            direction: direction
+        };
+    }
+
+    /**
+     * Get the efficiency of a tool: its own param or the default for its type
+     * @param {Tool} tool - The tool
+     * @returns {number} Efficiency in percent
+     */
+    function getToolEfficiency(tool) {
+        if (tool.params.efficiency !== undefined) return tool.params.efficiency;
+        return getDefaultEfficiency(tool);
+    }
+
+    /**
+     * Get the default efficiency for a tool's type
+     * @param {Tool} tool - The tool
+     * @returns {number} Efficiency in percent
+     */
+    function getDefaultEfficiency(tool) {
+        if (tool.type === 'worm') return WORM_EFFICIENCY[tool.params.worm] || WORM_EFFICIENCY['1(1L)'];
+        return DEFAULT_EFFICIENCY[tool.type] || 100;
+    }
+
+    /**
+     * Check an efficiency param: a percentage above 0 and at most 100
+     * @param {*} value - Efficiency param
+     * @returns {boolean} True if the value is a valid efficiency
+     */
+    function isValidEfficiency(value) {
+        return Number.isFinite(value) && value > 0 && value <= 100;
+    }
+
+    /**
+     * Get the Willis equation coefficients of a planetary set:
+     * Sun * sunSpeed + Ring * ringSpeed = Carrier * carrierSpeed.
+     * Torques on the three members are in the same proportion.
+     * @param {Tool} tool - Planetary tool
+     * @returns {Object} { Sun, Carrier, Ring }
+     */
+    function getPlanetaryCoefficients(tool) {
+        const teethSun = tool.params.teethSun || 12;
+        const teethRing = tool.params.teethRing || 36;
+        return { Sun: teethSun, Carrier: teethSun + teethRing, Ring: teethRing };
+    }
+
+    /**
+     * Check that planet gear pieces fit between the sun and the ring
+     * @param {Tool} tool - Planetary tool
+     * @returns {string|null} Error message, or null if the set is valid
+     */
+    function getPlanetaryError(tool) {
+        const teethSun = tool.params.teethSun || 12;
+        const teethRing = tool.params.teethRing || 36;
+        if (teethRing <= teethSun) return 'Ring must have more teeth than sun';
+        if ((teethRing - teethSun) % 2 !== 0) return 'Planets do not fit (ring − sun teeth must be even)';
+        return null;
+    }
+
+    /**
+     * Check that the catalog parts of a coupling can mesh on parallel axles and find
+     * the stud-grid positions of the second axle relative to the first
+     * @param {Tool} tool - Coupling tool
+     * @returns {Object|null} { error } or { dist, positions: [{ x, y }] }; null if no part is referenced
+     */
+    function getCouplingMesh(tool) {
+        const parts = [tool.params.partA, tool.params.partB]
+            .map(id => PARTS.find(p => p.id === id))
+            .filter(p => p);
+        if (parts.length === 0) return null;
+
+        for (const part of parts) {
+            if (part.kind === 'worm') {
+                return { error: `${part.name} meshes at a right angle, use a Worm tool` };
+            }
+            if (part.kind === 'bevel') {
+                return { error: `${part.name} meshes at a right angle, use a Bevel tool` };
+            }
+            if (part.kind === 'knob') {
+                return { error: `${part.name} only meshes with another knob wheel at a right angle` };
+            }
+        }
+
+        const dist = calculateCenterDistance(tool.params.teethA || 16, tool.params.teethB || 16);
+        return { dist: dist, positions: findMountingPositions(dist, 0, 0).exact };
+    }
+
+    /**
+     * Work out axle orientations from bevel couplings. Each bevel coupling puts its
+     * two axles at a right angle; other meshes and pass-through tools keep axles parallel.
+     * @param {Object} design - The design
+     * @returns {Object} { axles: Map(axleId -> 'X'|'Y'|'Z'), errors: Map(toolId -> message) }
+     */
+    function getAxleOrientations(design) {
+        const orientations = new Map();
+        const errors = new Map();
+
+        for (const tool of design.tools) {
+            if (tool.type !== 'bevel') continue;
+            const axisA = tool.params.axisA || 'X';
+            const axisB = tool.params.axisB || 'Y';
+            if (axisA === axisB) {
+                errors.set(tool.id, 'Bevel axles must be perpendicular');
+                continue;
+            }
+            for (const [connName, axis] of [['Gear A', axisA], ['Gear B', axisB]]) {
+                const conn = tool.connections.find(c => c.name === connName);
+                if (!conn || conn.axleId === null) continue;
+                const known = orientations.get(conn.axleId);
+                if (known && known !== axis) {
+                    errors.set(tool.id, `${getAxleName(design, conn.axleId)} is already along ${known}`);
+                } else {
+                    orientations.set(conn.axleId, axis);
+                }
+            }
+        }
+
+        // Parallel meshes cannot join axles with different orientations
+        for (const tool of design.tools) {
+            if (tool.type !== 'coupling' && tool.type !== 'worm') continue;
+            const [a, b] = tool.connections.map(c => orientations.get(c.axleId));
+            if (!a || !b) continue;
+            if (tool.type === 'coupling' && a !== b) {
+                errors.set(tool.id, `Axles are not parallel (${a} and ${b})`);
+            } else if (tool.type === 'worm' && a === b) {
+                errors.set(tool.id, `Worm and wheel axles must be perpendicular (both ${a})`);
+            }
+        }
+
+        return { axles: orientations, errors: errors };
+    }
+
+    /**
+     * Get the linear speed constraints a tool imposes in a gear mode.
+     * Constraints with a disconnected axle are skipped.
+     * @param {Tool} tool - The tool
+     * @param {number} gearModeNum - Gear mode number
+     * @returns {Object[]} Array of { coeffs: Map(axleId -> coefficient), rhs }
+     */
+    function getToolConstraints(tool, gearModeNum) {
+        const axleOf = (name) => {
+            const conn = tool.connections.find(c => c.name === name);
+            return conn ? conn.axleId : null;
+        };
+        const equation = (terms, rhs) => {
+            if (terms.some(([axleId]) => axleId === null)) return [];
+            // Accumulate, since one axle may appear in several terms
+            const coeffs = new Map();
+            for (const [axleId, c] of terms) {
+                coeffs.set(axleId, (coeffs.get(axleId) || 0) + c);
+            }
+            return [{ coeffs: coeffs, rhs: rhs }];
+        };
+
+        switch (tool.type) {
+            case 'source':
+                // speed = source speed
+                return equation([[axleOf('Output'), 1]], getSourceOutput(tool, gearModeNum).speed);
+            case 'coupling':
+            case 'bevel':
+            case 'worm': {
+                // teethB * speedB = direction * teethA * speedA
+                const mesh = getMesh(tool);
+                return equation([[axleOf(mesh.connB), mesh.teethB], [axleOf(mesh.connA), -mesh.direction * mesh.teethA]], 0);
+            }
+            case 'clutch':
+                // Turns both sides together; slipping is only reported
+                return equation([[axleOf('A'), 1], [axleOf('B'), -1]], 0);
+            case 'selector': {
+                // Selected connection turns with the center; Locked is handled after all hard constraints
+                const selection = getSelection(tool, gearModeNum);
+                if (selection === 'Locked') return [];
+                return equation([[axleOf('Center'), 1], [axleOf(selection), -1]], 0);
+            }
+            case 'differential':
+                // Body turns at the average of A and B
+                return equation([[axleOf('Body'), 2], [axleOf('A'), -1], [axleOf('B'), -1]], 0);
+            case 'planetary': {
+                // Willis equation: (sun - carrier) / (ring - carrier) = -ring teeth / sun teeth
+                const k = getPlanetaryCoefficients(tool);
+                return equation([[axleOf('Sun'), k.Sun], [axleOf('Ring'), k.Ring], [axleOf('Carrier'), -k.Carrier]], 0);
+            }
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Propagate torque from the sources through the tools, recording which tool
+     * drives each axle (outputBy) and the efficiency of the power path to it.
+     * Speeds are already solved.
+     * @param {Object} design - The design
+     * @param {number} gearModeNum - Gear mode number
+     * @param {Map} axleValues - Solved axle values, updated in place
+     * @param {Map} status - Tool statuses of this gear mode
+     * @param {string} [onlySourceId] - Only this source delivers torque
+     */
+    function propagateTorque(design, gearModeNum, axleValues, status, onlySourceId = null) {
+        for (const source of design.tools) {
+            if (source.type !== 'source' || (onlySourceId !== null && source.id !== onlySourceId)) continue;
+            const sourceValue = axleValues.get(source.connections[0].axleId);
+            if (!sourceValue || sourceValue.outputBy !== null) continue;
+            sourceValue.torqueExact = getSourceOutput(source, gearModeNum).torque;
+            sourceValue.torque = sourceValue.torqueExact.toNumber();
+            sourceValue.outputBy = source.id;
+            sourceValue.efficiency = 1;
+        }
+
+        const isKnown = (conn) => {
+            const value = conn.axleId !== null && axleValues.get(conn.axleId);
+            return !!value && value.torque !== null;
+        };
+        // Output torque is reduced by the tool's efficiency (or the given one, in %); the power
+        // path efficiency of the output is that of its least efficient input times the tool's own
+        // Torques are exact (Rational); the float copy is kept alongside for display
+        const setTorque = (tool, conn, torque, inputs, toolEfficiency = getToolEfficiency(tool)) => {
+            const value = conn.axleId !== null && axleValues.get(conn.axleId);
+            if (!value || value.torque !== null) return false;
+            value.outputBy = tool.id;
+            if (inputs) {
+                const efficiency = toolEfficiency / 100;
+                const inputEfficiencies = inputs.map(c => axleValues.get(c.axleId).efficiency).filter(e => e !== null);
+                torque = torque.mul(toolEfficiency).div(100);
+                value.efficiency = inputEfficiencies.length > 0 ? Math.min(...inputEfficiencies) * efficiency : null;
+            }
+            value.torqueExact = torque;
+            value.torque = torque.toNumber();
+            return true;
+        };
+        const torqueOf = (conn) => axleValues.get(conn.axleId).torqueExact;
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const tool of design.tools) {
+                if (status.get(tool.id).error) continue;
+                const conns = {};
+                tool.connections.forEach(c => { conns[c.name] = c; });
+
+                switch (tool.type) {
+                    case 'coupling':
+                    case 'bevel':
+                    case 'worm': {
+                        const mesh = getMesh(tool);
+                        const connA = conns[mesh.connA];
+                        const connB = conns[mesh.connB];
+                        if (isKnown(connA)) {
+                            changed = setTorque(tool, connB, torqueOf(connA).mul(mesh.teethB).div(mesh.teethA), [connA]) || changed;
+                        } else if (isKnown(connB) && tool.type !== 'worm') {
+                            // A worm gear never passes torque from the wheel back to the worm (checked below)
+                            changed = setTorque(tool, connA, torqueOf(connB).mul(mesh.teethA).div(mesh.teethB), [connB]) || changed;
+                        }
+                        break;
+                    }
+                    case 'clutch': {
+                        const slipTorque = tool.params.slipTorque !== undefined ? tool.params.slipTorque : 2.5;
+                        let output = null;
+                        if (isKnown(conns['A'])) {
+                            output = setTorque(tool, conns['B'], torqueOf(conns['A']), [conns['A']]) ? conns['B'] : null;
+                        } else if (isKnown(conns['B'])) {
+                            output = setTorque(tool, conns['A'], torqueOf(conns['B']), [conns['B']]) ? conns['A'] : null;
+                        }
+                        if (output) {
+                            changed = true;
+                            const torque = torqueOf(output).abs();
+                            if (torque.compare(slipTorque) > 0) {
+                                const toolStatus = status.get(tool.id);
+                                toolStatus.flagged = true;
+                                toolStatus.message = `Slips (torque ${formatValue(torque.toNumber())} > ${formatValue(slipTorque)})`;
+                            }
+                        }
+                        break;
+                    }
+                    case 'selector': {
+                        const selection = getSelection(tool, gearModeNum);
+                        if (selection === 'Locked') {
+                            // Held axles carry no torque from the drive
+                            for (const conn of tool.connections) {
+                                const value = conn.axleId !== null && axleValues.get(conn.axleId);
+                                if (value && value.speedExact.isZero()) {
+                                    changed = setTorque(tool, conn, Rational.ZERO) || changed;
+                                }
+                            }
+                        } else if (isKnown(conns['Center'])) {
+                            changed = setTorque(tool, conns[selection], torqueOf(conns['Center']), [conns['Center']]) || changed;
+                        } else if (isKnown(conns[selection])) {
+                            changed = setTorque(tool, conns['Center'], torqueOf(conns[selection]), [conns[selection]]) || changed;
+                        }
+                        break;
+                    }
+                    case 'differential': {
+                        const body = conns['Body'];
+                        const a = conns['A'];
+                        const b = conns['B'];
+                        const known = [body, a, b].filter(isKnown);
+                        if (known.length === 2) {
+                            if (!isKnown(body)) {
+                                changed = setTorque(tool, body, torqueOf(a).add(torqueOf(b)).mul(2), [a, b]) || changed;
+                            } else if (!isKnown(a)) {
+                                changed = setTorque(tool, a, torqueOf(body).add(torqueOf(b)).div(2), [body, b]) || changed;
+                            } else {
+                                changed = setTorque(tool, b, torqueOf(body).add(torqueOf(a)).div(2), [body, a]) || changed;
+                            }
+                        } else if (known.length === 1 && known[0] === body) {
+                            // Body torque splits evenly between A and B
+                            changed = setTorque(tool, a, torqueOf(body).div(2), [body]) || changed;
+                            changed = setTorque(tool, b, torqueOf(body).div(2), [body]) || changed;
+                        } else if (known.length === 1) {
+                            // Driving one side: the body takes twice the torque, the other side reacts
+                            const other = known[0] === a ? b : a;
+                            changed = setTorque(tool, body, torqueOf(known[0]).mul(2), known) || changed;
+                            changed = setTorque(tool, other, torqueOf(known[0]), known) || changed;
+                        }
+                        break;
+                    }
+                    case 'planetary': {
+                        // Torque on each member is proportional to its Willis coefficient;
+                        // the input is a known member that turns and carries torque (not one held by a selector)
+                        const k = getPlanetaryCoefficients(tool);
+                        const members = ['Sun', 'Carrier', 'Ring'].map(name => conns[name]);
+                        const input = members.find(c => isKnown(c) && !torqueOf(c).isZero()) || members.find(isKnown);
+                        if (!input) break;
+                        // Two members locked together (e.g. by a selector) make the set turn as a block:
+                        // no gear piece rolls, so the torque passes straight through without loss
+                        const speeds = members.map(c => c.axleId !== null && axleValues.get(c.axleId))
+                            .filter(Boolean)
+                            .map(value => value.speedExact);
+                        const isBlock = speeds.some((speed, i) => speeds.slice(i + 1).some(other => other.equals(speed)));
+                        if (isBlock) {
+                            for (const member of members) {
+                                if (member === input) continue;
+                                changed = setTorque(tool, member, torqueOf(input), [input], 100) || changed;
+                            }
+                            break;
+                        }
+                        for (const member of members) {
+                            if (member === input) continue;
+                            changed = setTorque(tool, member, torqueOf(input).mul(k[member.name]).div(k[input.name]), [input]) || changed;
+                        }
+                        break;
+                    }
+                }
+            }
+        }
+
+        // A worm turned only through its wheel is being back-driven, which self-locks
+        for (const tool of design.tools) {
+            if (tool.type !== 'worm' || status.get(tool.id).error) continue;
+            const wormConn = tool.connections.find(c => c.name === 'Worm');
+            const wheelConn = tool.connections.find(c => c.name === 'Wheel');
+            const wormValue = wormConn.axleId !== null && axleValues.get(wormConn.axleId);
+            if (isKnown(wheelConn) && wormValue && wormValue.torque === null && !wormValue.speedExact.isZero()) {
+                status.get(tool.id).error = 'Worm cannot be back-driven';
+            }
+        }
+    }
+
+    /**
+     * Format a float for messages: integers as they are, others with 3 decimals
+     * @param {number|null} value - Value
+     * @returns {string} Formatted value ('—' for none)
+     */
+    function formatValue(value) {
+        if (value === null || value === undefined) return '—';
+        if (Number.isInteger(value)) return value.toString();
+        return value.toFixed(3);
+    }
+
+    // ==================== Loop Analysis ====================
+
+    /**
+     * Find the kinematic loops of one gear mode: cycles in the graph whose nodes are axles
+     * and whose edges are the tools that tie two axles at a fixed ratio (couplings, bevels,
+     * worms, clutches and engaged selectors). A loop is consistent when the ratios multiply
+     * to exactly 1 around it; otherwise it jams. Differentials and planetary sets tie three
+     * axles and are left to the solver.
+     * @param {Object} design - The design
+     * @param {number} gearModeNum - Gear mode number
+     * @returns {Object[]} { tools: toolId[], axles: axleId[], ratio: Rational|null } per loop (null: a tool on a single axle)
+     */
+    function findLoops(design, gearModeNum) {
+        // Edges: speed(b) = ratio × speed(a)
+        const edges = [];
+        for (const tool of design.tools) {
+            if (tool.type === 'source') continue;
+            for (const constraint of getToolConstraints(tool, gearModeNum)) {
+                if (constraint.rhs !== 0) continue;
+                const terms = [...constraint.coeffs].filter(([, c]) => c !== 0);
+                if (terms.length === 2) {
+                    const [[a, ca], [b, cb]] = terms;
+                    edges.push({ tool: tool.id, a: a, b: b, ratio: Rational.from(-ca).div(Rational.from(cb)) });
+                } else if (terms.length === 1 && constraint.coeffs.size === 1) {
+                    // Both sides on the same axle at a ratio other than 1: a loop of its own that holds the axle still
+                    edges.push({ tool: tool.id, a: terms[0][0], b: terms[0][0], ratio: null });
+                }
+            }
+        }
+
+        // Spanning forest: speed of each axle relative to the root of its tree
+        const adjacency = new Map();
+        for (const edge of edges) {
+            if (!adjacency.has(edge.a)) adjacency.set(edge.a, []);
+            if (!adjacency.has(edge.b)) adjacency.set(edge.b, []);
+            adjacency.get(edge.a).push(edge);
+            if (edge.b !== edge.a) adjacency.get(edge.b).push(edge);
+        }
+        const relative = new Map();   // axleId -> Rational speed relative to the tree root
+        const parent = new Map();     // axleId -> { axleId, edge } towards the root
+        const treeEdges = new Set();
+        for (const root of adjacency.keys()) {
+            if (relative.has(root)) continue;
+            relative.set(root, Rational.ONE);
+            parent.set(root, null);
+            const queue = [root];
+            while (queue.length > 0) {
+                const axleId = queue.shift();
+                for (const edge of adjacency.get(axleId)) {
+                    const other = edge.a === axleId ? edge.b : edge.a;
+                    if (relative.has(other)) continue;
+                    const ratio = edge.a === axleId ? edge.ratio : Rational.ONE.div(edge.ratio);
+                    relative.set(other, relative.get(axleId).mul(ratio));
+                    parent.set(other, { axleId: axleId, edge: edge });
+                    treeEdges.add(edge);
+                    queue.push(other);
+                }
+            }
+        }
+
+        const pathToRoot = (axleId) => {
+            const path = [{ axleId: axleId, edge: null }];
+            while (parent.get(path[path.length - 1].axleId)) {
+                const step = parent.get(path[path.length - 1].axleId);
+                path[path.length - 1].edge = step.edge;
+                path.push({ axleId: step.axleId, edge: null });
+            }
+            return path;
+        };
+
+        // Every edge outside the spanning forest closes one loop
+        const loops = [];
+        for (const edge of edges) {
+            if (treeEdges.has(edge)) continue;
+            const ratio = edge.a === edge.b
+                ? edge.ratio
+                : edge.ratio.mul(relative.get(edge.a)).div(relative.get(edge.b));
+
+            // Tree path from b back to a through their common ancestor
+            const fromA = pathToRoot(edge.a);
+            const fromB = pathToRoot(edge.b);
+            const ancestor = fromA.find(stepA => fromB.some(stepB => stepB.axleId === stepA.axleId)).axleId;
+            const upA = fromA.slice(0, fromA.findIndex(step => step.axleId === ancestor) + 1);
+            const upB = fromB.slice(0, fromB.findIndex(step => step.axleId === ancestor) + 1);
+            const loopAxles = [...upB.map(step => step.axleId), ...upA.slice(0, -1).reverse().map(step => step.axleId)];
+            const loopTools = [edge.tool, ...upB.concat(upA).filter(step => step.edge).map(step => step.edge.tool)];
+
+            loops.push({ tools: [...new Set(loopTools)], axles: edge.a === edge.b ? [edge.a] : loopAxles, ratio: ratio });
+        }
+        return loops;
+    }
+
+    /**
+     * Analyze loops over all gear modes and find axles that never turn
+     * @param {Object} design - The design
+     * @param {Object} allResults - Gear mode -> result of computeGearMode()
+     * @returns {Object} { loops: [{ tools, axles, jammedModes: [{ mode, ratio }], consistentModes }], deadAxles: axleId[] }
+     */
+    function analyzeLoops(design, allResults) {
+        const loops = new Map();  // sorted tool ids -> loop over all gear modes
+        for (let g = 1; g <= design.gearModes.length; g++) {
+            for (const loop of findLoops(design, g)) {
+                const key = loop.tools.slice().sort().join(',');
+                if (!loops.has(key)) {
+                    loops.set(key, { tools: loop.tools, axles: loop.axles, jammedModes: [], consistentModes: [] });
+                }
+                if (loop.ratio && loop.ratio.equals(Rational.ONE)) {
+                    loops.get(key).consistentModes.push(g);
+                } else {
+                    loops.get(key).jammedModes.push({ mode: g, ratio: loop.ratio });
+                }
+            }
+        }
+
+        // Connected axles without a non-zero speed in any gear mode
+        const deadAxles = design.axles
+            .filter(axle => design.tools.some(t => t.connections.some(c => c.axleId === axle.id)))
+            .filter(axle => {
+                for (let g = 1; g <= design.gearModes.length; g++) {
+                    const value = allResults[g] && allResults[g].axles.get(axle.id);
+                    if (value && !value.speedExact.isZero()) return false;
+                }
+                return true;
+            })
+            .map(axle => axle.id);
+
+        return { loops: [...loops.values()], deadAxles: deadAxles };
+    }
+
+    // ==================== Mode Spacing ====================
+
+    /**
+     * Analyze how evenly the gear modes step the speed of an output axle. Output:input ratios
+     * of the gear modes turning the majority way are sorted by magnitude with the step factor
+     * to the previous one; the others are reversed gear modes. Gear modes that hold the output
+     * still (neutral) or give no ratio (jammed, not determined or input still) are not spaced.
+     * @param {Object} design - The design
+     * @param {Object} allResults - Gear mode -> result of computeGearMode()
+     * @param {number} inputAxleId - Input axle (usually the source's)
+     * @param {number} outputAxleId - Output axle
+     * @returns {Object} { ladder: [{ mode, ratio: Rational, step: number|null }], reversed: [{ mode, ratio }],
+     *                     neutral: mode[], missing: mode[], duplicates: [{ modes, ratio }], spread: number|null, evenStep: number|null }
+     */
+    function analyzeModeSpacing(design, allResults, inputAxleId, outputAxleId) {
+        const ratios = [];
+        const neutral = [];
+        const missing = [];
+        for (let g = 1; g <= design.gearModes.length; g++) {
+            const results = allResults[g];
+            const input = results && results.axles.get(inputAxleId);
+            const output = results && results.axles.get(outputAxleId);
+            if (!input || !output || results.jammed.length > 0 || input.speedExact.isZero()) {
+                missing.push(g);
+            } else if (output.speedExact.isZero()) {
+                neutral.push(g);
+            } else {
+                ratios.push({ mode: g, ratio: output.speedExact.div(input.speedExact) });
+            }
+        }
+
+        // The direction most gear modes turn the output is forward; a tie goes to the lowest gear mode
+        const positive = ratios.filter(r => r.ratio.sign() > 0).length;
+        const negative = ratios.length - positive;
+        const forward = positive !== negative ? (positive > negative ? 1 : -1) : (ratios.length > 0 ? ratios[0].ratio.sign() : 1);
+
+        const ladder = ratios
+            .filter(r => r.ratio.sign() === forward)
+            .sort((a, b) => a.ratio.abs().compare(b.ratio.abs()) || a.mode - b.mode)
+            .map((r, i, sorted) => ({
+                mode: r.mode,
+                ratio: r.ratio,
+                step: i > 0 ? r.ratio.abs().div(sorted[i - 1].ratio.abs()).toNumber() : null
+            }));
+        const reversed = ratios.filter(r => r.ratio.sign() !== forward);
+
+        const groups = new Map();  // exact ratio -> gear modes
+        for (const r of ratios) {
+            const key = r.ratio.toString();
+            if (!groups.has(key)) groups.set(key, { modes: [], ratio: r.ratio });
+            groups.get(key).modes.push(r.mode);
+        }
+        const duplicates = [...groups.values()].filter(group => group.modes.length > 1);
+
+        // Spread of the forward gear modes and the step of an evenly (geometrically) spaced set with the same spread
+        let spread = null;
+        let evenStep = null;
+        if (ladder.length > 1) {
+            spread = ladder[ladder.length - 1].ratio.abs().div(ladder[0].ratio.abs()).toNumber();
+            evenStep = Math.pow(spread, 1 / (ladder.length - 1));
+        }
+
+        return {
+            ladder: ladder,
+            reversed: reversed,
+            neutral: neutral,
+            missing: missing,
+            duplicates: duplicates,
+            spread: spread,
+            evenStep: evenStep
+        };
+    }
+
+    // ==================== Shift Controls ====================
+
+    /**
+     * Check a shift pattern for sequences that cannot work: two engaged selectors of the
+     * control driving the same axle in one gear mode (they would fight over it), or a gear
+     * mode where every selector of the control is Locked.
+     * @param {Object} design - The design
+     * @param {ShiftControl} control - The shift control
+     * @returns {Object[]} { mode, message } per problem
+     */
+    function validateShiftControl(design, control) {
+        const problems = [];
+        const selectors = control.selectorIds.map(id => design.tools.find(t => t.id === id)).filter(t => t);
+        if (selectors.length === 0) return problems;
+
+        for (let g = 1; g <= design.gearModes.length; g++) {
+            const engaged = selectors.filter(t => getSelection(t, g) !== 'Locked');
+            if (engaged.length === 0) {
+                problems.push({ mode: g, message: 'every selector is Locked' });
+                continue;
+            }
+            // A shared Center is an ordinary drive axle; the conflict is a selected side
+            // gear piece meeting an axle the other selector also engages
+            const axleOf = (tool, connName) => tool.connections.find(c => c.name === connName).axleId;
+            const sideAxle = (tool) => axleOf(tool, getSelection(tool, g));
+            const engagedAxles = (tool) => [axleOf(tool, 'Center'), sideAxle(tool)];
+            for (let i = 0; i < engaged.length; i++) {
+                for (let j = i + 1; j < engaged.length; j++) {
+                    const shared = [sideAxle(engaged[i]), sideAxle(engaged[j])]
+                        .filter((id, k) => id !== null && engagedAxles(k === 0 ? engaged[j] : engaged[i]).includes(id));
+                    if (shared.length > 0) {
+                        problems.push({
+                            mode: g,
+                            message: `${getToolLabel(design, engaged[i].id)} and ${getToolLabel(design, engaged[j].id)} both engage ${getAxleName(design, shared[0])}`
+                        });
+                    }
+                }
+            }
+        }
+        return problems;
+    }
+
+    // ==================== Synthesis ====================
+
+    const SYNTHESIS_PATHS_PER_MODE = 4;   // best gear paths kept per gear mode before combining
+    const SYNTHESIS_MAX_CANDIDATES = 10;
+    const SYNTHESIS_KEPT_COMBINATIONS = 2 * SYNTHESIS_MAX_CANDIDATES;  // best combinations kept for verification
+    const SYNTHESIS_MAX_STEPS = 200000;   // hard cap on combination steps per search
+
+    /**
+     * Enumerate gear paths of one or two meshes (the second through a countershaft)
+     * whose speed ratio is within tolerance of the target magnitude
+     * @param {number} target - Target output:input speed ratio
+     * @param {number[]} gearSet - Allowed teeth counts
+     * @param {number} tolerance - Allowed relative error
+     * @returns {Object[]} { meshes: [[teethA, teethB], ...], ratio, error }, best first
+     */
+    function findGearPaths(target, gearSet, tolerance) {
+        const magnitude = Math.abs(target);
+        const paths = [];
+        const addPath = (meshes) => {
+            // Each spur mesh reverses the direction
+            const ratio = meshes.reduce((r, [a, b]) => -r * a / b, 1);
+            const error = Math.abs(Math.abs(ratio) - magnitude) / magnitude;
+            if (error <= tolerance + 1e-9) paths.push({ meshes: meshes, ratio: ratio, error: error });
+        };
+        for (const a1 of gearSet) {
+            for (const b1 of gearSet) {
+                addPath([[a1, b1]]);
+                for (const a2 of gearSet) {
+                    for (const b2 of gearSet) {
+                        addPath([[a1, b1], [a2, b2]]);
+                    }
+                }
+            }
+        }
+        const teethCount = path => path.meshes.reduce((sum, [a, b]) => sum + a + b, 0);
+        paths.sort((p, q) =>
+            p.meshes.length - q.meshes.length || p.error - q.error || teethCount(p) - teethCount(q));
+        // Keep only the smallest gear pieces for each distinct ratio
+        return paths.filter((path, i) => !paths.slice(0, i).some(other =>
+            other.meshes.length === path.meshes.length && Math.abs(other.ratio - path.ratio) < 1e-6));
+    }
+
+    /**
+     * Search for gearbox designs reaching the target ratios. Each gear mode gets its own gear
+     * path from the input axle; selectors (two gear modes each) connect the paths to the output.
+     * All gear modes must turn the output the same way relative to their targets.
+     * @param {Object} options - { targets: number[], gearSet: number[], maxCouplings, maxSelectors, tolerance }
+     * @returns {Object} { candidates: [{ paths, couplings, selectors, error, reversed, design, ratios }], problem, truncated }
+     */
+    function synthesizeGearbox(options) {
+        const { targets, gearSet, maxCouplings, maxSelectors, tolerance } = options;
+        const modes = targets.length;
+        const selectors = modes > 1 ? Math.ceil(modes / 2) : 0;
+        if (gearSet.length === 0) {
+            return { candidates: [], problem: 'No gear pieces selected' };
+        }
+        if (selectors > maxSelectors) {
+            return { candidates: [], problem: `${modes} gear modes need ${selectors} selectors (max ${maxSelectors})` };
+        }
+
+        const allPaths = targets.map(target => findGearPaths(target, gearSet, tolerance));
+        const missing = allPaths.findIndex(paths => paths.length === 0);
+        if (missing >= 0) {
+            return { candidates: [], problem: `No gear path reaches the Mode ${missing + 1} ratio within tolerance` };
+        }
+
+        // Branch and bound: keep the best combinations by part count, then worst gear mode error,
+        // and skip branches that cannot beat the last one kept
+        const compare = (a, b) => (a.couplings - b.couplings) || (a.error - b.error);
+        const found = [];
+        let steps = 0;
+        for (const direction of [1, -1]) {
+            // Best paths per gear mode turning the output the wanted way
+            const options = allPaths.map((paths, i) =>
+                paths.filter(p => Math.sign(p.ratio) === direction * Math.sign(targets[i])).slice(0, SYNTHESIS_PATHS_PER_MODE));
+            if (options.some(paths => paths.length === 0)) continue;
+
+            // Fewest couplings and lowest error still to come after each gear mode
+            const restCouplings = new Array(modes + 1).fill(0);
+            const restError = new Array(modes + 1).fill(0);
+            for (let i = modes - 1; i >= 0; i--) {
+                restCouplings[i] = restCouplings[i + 1] + Math.min(...options[i].map(p => p.meshes.length));
+                restError[i] = Math.max(restError[i + 1], Math.min(...options[i].map(p => p.error)));
+            }
+
+            const choose = (modeIndex, chosen, couplings, error) => {
+                if (++steps > SYNTHESIS_MAX_STEPS) return;
+                const bound = { couplings: couplings + restCouplings[modeIndex], error: Math.max(error, restError[modeIndex]) };
+                if (bound.couplings > maxCouplings) return;
+                if (found.length >= SYNTHESIS_KEPT_COMBINATIONS && compare(bound, found[found.length - 1]) >= 0) return;
+                if (modeIndex === modes) {
+                    const combination = {
+                        paths: chosen.slice(),
+                        couplings: couplings,
+                        selectors: selectors,
+                        error: error,
+                        reversed: direction < 0
+                    };
+                    const index = found.findIndex(other => compare(combination, other) < 0);
+                    found.splice(index < 0 ? found.length : index, 0, combination);
+                    if (found.length > SYNTHESIS_KEPT_COMBINATIONS) found.pop();
+                    return;
+                }
+                for (const path of options[modeIndex]) {
+                    chosen.push(path);
+                    choose(modeIndex + 1, chosen, couplings + path.meshes.length, Math.max(error, path.error));
+                    chosen.pop();
+                }
+            };
+            choose(0, [], 0, 0);
+        }
+        const truncated = steps > SYNTHESIS_MAX_STEPS;
+
+        // Build and verify the best candidates with the solver
+        const candidates = [];
+        for (const candidate of found) {
+            if (candidates.length >= SYNTHESIS_MAX_CANDIDATES) break;
+            candidate.design = buildSynthesisDesign(candidate.paths);
+            candidate.ratios = verifyDesignRatios(candidate.design, 1, 2);
+            const matches = candidate.ratios.every((ratio, i) => ratio !== null &&
+                Math.abs(Math.abs(ratio.toNumber()) - Math.abs(targets[i])) / Math.abs(targets[i]) <= tolerance + 1e-9);
+            if (matches) candidates.push(candidate);
+        }
+        const problem = candidates.length === 0
+            ? (found.length === 0 ? `No combination fits in ${maxCouplings} couplings with a consistent output direction` : 'No candidate passed verification')
+            : null;
+        return { candidates: candidates, problem: problem, truncated: truncated };
+    }
+
+    /**
+     * Build a loadable design from one gear path per gear mode.
+     * Axle 1 is the input (with the source), Axle 2 the output.
+     * @param {Object[]} paths - Gear path per gear mode (see findGearPaths())
+     * @returns {Object} Design in the form returned by parseDesign()
+     */
+    function buildSynthesisDesign(paths) {
+        const design = { gearModes: paths.map(() => new GearMode()), tools: [], axles: [], nextToolId: 1, nextAxleId: 1, problems: [] };
+        const addAxle = (name) => {
+            const axle = new Axle(design.nextAxleId++, name);
+            design.axles.push(axle);
+            return axle.id;
+        };
+        const addTool = (type) => {
+            const tool = createTool(type, `tool_${design.nextToolId++}`, paths.length);
+            design.tools.push(tool);
+            return tool;
+        };
+
+        const inputId = addAxle('Input');
+        const outputId = addAxle('Output');
+        const source = createTool('source', 'source');
+        source.connections[0].axleId = inputId;
+        design.tools.push(source);
+
+        const modeAxleIds = paths.map((path, i) => {
+            let axleId = inputId;
+            path.meshes.forEach(([teethA, teethB], meshIndex) => {
+                const isLast = meshIndex === path.meshes.length - 1;
+                const nextId = isLast && paths.length === 1 ? outputId
+                    : addAxle(isLast ? `Mode ${i + 1}` : `Mode ${i + 1} countershaft`);
+                const coupling = addTool('coupling');
+                coupling.params.teethA = teethA;
+                coupling.params.teethB = teethB;
+                coupling.connections[0].axleId = axleId;
+                coupling.connections[1].axleId = nextId;
+                axleId = nextId;
+            });
+            return axleId;
+        });
+
+        if (paths.length > 1) {
+            for (let i = 0; i < paths.length; i += 2) {
+                const selector = addTool('selector');
+                selector.connections[0].axleId = outputId;
+                selector.connections[1].axleId = modeAxleIds[i];
+                selector.connections[2].axleId = i + 1 < paths.length ? modeAxleIds[i + 1] : null;
+                for (let g = 1; g <= paths.length; g++) {
+                    selector.params[`mode${g}`] = g === i + 1 ? 'A' : (g === i + 2 ? 'B' : 'Locked');
+                }
+            }
+        }
+        return design;
+    }
+
+    // ==================== Persistence ====================
+
+    /**
+     * Serialize a design to a plain JSON-compatible object
+     * @param {Object} design - The design
+     * @returns {Object} Design document (see DESIGN_SCHEMA)
+     */
+    function serializeDesign(design) {
+        return {
+            schema: DESIGN_SCHEMA,
+            version: DESIGN_VERSION,
+            gearModes: design.gearModes.map(mode => ({ name: mode.name })),
+            nextToolId: design.nextToolId,
+            nextAxleId: design.nextAxleId,
+            nextShiftControlId: design.nextShiftControlId,
+            nextSubAssemblyId: design.nextSubAssemblyId,
+            torqueLimits: Object.assign({}, design.torqueLimits),
+            axles: design.axles.map(axle => ({
+                id: axle.id,
+                name: axle.name,
+                position: axle.position,
+                notes: axle.notes,
+                isOutput: axle.isOutput,
+                pinned: axle.pinned
+            })),
+            tools: design.tools.map(serializeTool),
+            shiftControls: design.shiftControls.map(control => ({
+                id: control.id,
+                name: control.name,
+                selectorIds: control.selectorIds.slice()
+            })),
+            subAssemblies: (design.subAssemblies || []).map(assembly => ({
+                id: assembly.id,
+                name: assembly.name,
+                gearModes: assembly.gearModes.map(mode => ({ name: mode.name })),
+                ports: assembly.ports.map(port => ({ name: port.name, axleId: port.axleId })),
+                axles: assembly.axles.map(axle => ({ id: axle.id, name: axle.name, notes: axle.notes })),
+                tools: assembly.tools.map(serializeTool)
+            }))
+        };
+    }
+
+    function serializeTool(tool) {
+        return {
+            id: tool.id,
+            type: tool.type,
+            params: Object.assign({}, tool.params),
+            connections: tool.connections.map(conn => ({ name: conn.name, axleId: conn.axleId })),
+            position: tool.position
+        };
+    }
+
+    /**
+     * Validate a design document and build a design from it.
+     * Broken references are reported in `problems` (and disconnected) rather than silently dropped.
+     * @param {Object} data - Parsed design document
+     * @returns {Object} { gearModes, tools, axles, nextToolId, nextAxleId, shiftControls, nextShiftControlId,
+     *                     subAssemblies, nextSubAssemblyId, torqueLimits, problems: string[] }
+     * @throws {Error} If the document is not a gearbox design or its version is unsupported
+     */
+    function parseDesign(data) {
+        if (!data || typeof data !== 'object' || data.schema !== DESIGN_SCHEMA) {
+            throw new Error('Not a gearbox design file');
+        }
+        if (!Number.isInteger(data.version) || data.version < 1 || data.version > DESIGN_VERSION) {
+            throw new Error(`Unsupported design version: ${data.version}`);
+        }
+
+        const problems = [];
+        const loadedModes = parseGearModes(data, problems, '');
+        const loadedAxles = parseAxles(data.axles, problems, '');
+
+        // Sub-assemblies (before the tools, which may be instances of them)
+        const loadedAssemblies = [];
+        for (const item of Array.isArray(data.subAssemblies) ? data.subAssemblies : []) {
+            const id = item && item.id;
+            if (!Number.isInteger(id) || id < 1 || loadedAssemblies.some(a => a.id === id)) {
+                problems.push(`Skipped sub-assembly with invalid or duplicate id: ${JSON.stringify(id)}`);
+                continue;
+            }
+            const assembly = new SubAssembly(id, typeof item.name === 'string' && item.name ? item.name : `Sub-assembly ${id}`);
+            const prefix = `${assembly.name}: `;
+            assembly.gearModes = parseGearModes(item, problems, prefix);
+            assembly.axles = parseAxles(item.axles, problems, prefix);
+            assembly.tools = parseTools(item.tools, assembly.axles, assembly.gearModes, null, problems, prefix);
+            for (const port of Array.isArray(item.ports) ? item.ports : []) {
+                if (!port || typeof port.name !== 'string' || !port.name || assembly.ports.some(p => p.name === port.name)) {
+                    problems.push(`${prefix}Skipped port with missing or duplicate name: ${JSON.stringify(port && port.name)}`);
+                } else if (!assembly.axles.some(a => a.id === port.axleId)) {
+                    problems.push(`${prefix}Port ${port.name} references missing axle ${JSON.stringify(port.axleId)}, skipped`);
+                } else {
+                    assembly.ports.push({ name: port.name, axleId: port.axleId });
+                }
+            }
+            loadedAssemblies.push(assembly);
+        }
+
+        const loadedTools = parseTools(data.tools, loadedAxles, loadedModes, loadedAssemblies, problems, '');
+
+        if (!loadedTools.some(t => t.type === 'source')) {
+            problems.push('Design has no Source Axle, nothing is driven');
+        }
+
+        // Torque limits
+        const loadedLimits = Object.assign({}, DEFAULT_TORQUE_LIMITS);
+        if (data.torqueLimits !== undefined) {
+            for (const key of Object.keys(DEFAULT_TORQUE_LIMITS)) {
+                const value = data.torqueLimits && data.torqueLimits[key];
+                if (value === undefined) continue;
+                if (Number.isFinite(value) && value >= 0) {
+                    loadedLimits[key] = value;
+                } else {
+                    problems.push(`Invalid ${key} torque limit ${JSON.stringify(value)}, using ${DEFAULT_TORQUE_LIMITS[key]}`);
+                }
+            }
+        }
+
+        // Shift controls
+        const loadedControls = [];
+        for (const item of Array.isArray(data.shiftControls) ? data.shiftControls : []) {
+            const id = item && item.id;
+            if (!Number.isInteger(id) || id < 1 || loadedControls.some(c => c.id === id)) {
+                problems.push(`Skipped shift control with invalid or duplicate id: ${JSON.stringify(id)}`);
+                continue;
+            }
+            const control = new ShiftControl(id, typeof item.name === 'string' && item.name ? item.name : `Shift Control ${id}`);
+            for (const toolId of Array.isArray(item.selectorIds) ? item.selectorIds : []) {
+                const tool = loadedTools.find(t => t.id === toolId);
+                if (!tool || tool.type !== 'selector') {
+                    problems.push(`${control.name}: ${JSON.stringify(toolId)} is not a selector, unlinked`);
+                } else if (loadedControls.some(c => c.selectorIds.includes(toolId)) || control.selectorIds.includes(toolId)) {
+                    problems.push(`${control.name}: ${getToolTypeName(tool.type)} ${toolId} is already shifted by another control, unlinked`);
+                } else {
+                    control.selectorIds.push(toolId);
+                }
+            }
+            loadedControls.push(control);
+        }
+
+        // Id counters must not collide with loaded ids
+        const maxToolNum = loadedTools.reduce((max, t) => {
+            const match = /^tool_(\d+)$/.exec(t.id);
+            return match ? Math.max(max, parseInt(match[1])) : max;
+        }, 0);
+        const maxAxleId = loadedAxles.reduce((max, a) => Math.max(max, a.id), 1);
+        const maxControlId = loadedControls.reduce((max, c) => Math.max(max, c.id), 0);
+        const maxAssemblyId = loadedAssemblies.reduce((max, a) => Math.max(max, a.id), 0);
+
+        return {
+            gearModes: loadedModes,
+            tools: loadedTools,
+            axles: loadedAxles,
+            nextToolId: Math.max(Number.isInteger(data.nextToolId) ? data.nextToolId : 1, maxToolNum + 1),
+            nextAxleId: Math.max(Number.isInteger(data.nextAxleId) ? data.nextAxleId : 2, maxAxleId + 1),
+            shiftControls: loadedControls,
+            torqueLimits: loadedLimits,
+            nextShiftControlId: Math.max(Number.isInteger(data.nextShiftControlId) ? data.nextShiftControlId : 1, maxControlId + 1),
+            subAssemblies: loadedAssemblies,
+            nextSubAssemblyId: Math.max(Number.isInteger(data.nextSubAssemblyId) ? data.nextSubAssemblyId : 1, maxAssemblyId + 1),
+            problems: problems
+        };
+    }
+
+    /**
+     * Validate the gear modes of a design (or sub-assembly) document
+     * @param {Object} data - Document with `gearModes` (since version 8) or `numGearModes`
+     * @param {string[]} problems - Problem list to append to
+     * @param {string} prefix - Prefix for problem messages
+     * @returns {GearMode[]} At least one gear mode
+     */
+    function parseGearModes(data, problems, prefix) {
+        if (!Array.isArray(data.gearModes)) {
+            let count = data.numGearModes;
+            if (!Number.isInteger(count) || count < 1 || count > MAX_GEAR_MODES) {
+                problems.push(`${prefix}Invalid number of gear modes (${count}), using 3`);
+                count = 3;
+            }
+            return Array.from({ length: count }, () => new GearMode());
+        }
+
+        const modes = data.gearModes.slice(0, MAX_GEAR_MODES).map((item, i) => {
+            if (item && typeof item === 'object' && (item.name === undefined || typeof item.name === 'string')) {
+                return new GearMode(item.name ? item.name.trim() : '');
+            }
+            problems.push(`${prefix}Invalid gear mode ${i + 1} (${JSON.stringify(item)}), left unnamed`);
+            return new GearMode();
+        });
+        if (data.gearModes.length > MAX_GEAR_MODES) {
+            problems.push(`${prefix}Too many gear modes (${data.gearModes.length}), keeping the first ${MAX_GEAR_MODES}`);
+        }
+        if (modes.length === 0) {
+            problems.push(`${prefix}Design has no gear modes, using 3`);
+            return [new GearMode(), new GearMode(), new GearMode()];
+        }
+        return modes;
+    }
+
+    /**
+     * Validate the axles of a design (or sub-assembly) document
+     * @param {*} items - Axle entries
+     * @param {string[]} problems - Problem list to append to
+     * @param {string} prefix - Prefix for problem messages
+     * @returns {Axle[]} Valid axles
+     */
+    function parseAxles(items, problems, prefix) {
+        const loadedAxles = [];
+        for (const item of Array.isArray(items) ? items : []) {
+            const id = item && item.id;
+            if (!Number.isInteger(id) || id < 1) {
+                problems.push(`${prefix}Skipped axle with invalid id: ${JSON.stringify(id)}`);
+                continue;
+            }
+            if (loadedAxles.some(a => a.id === id)) {
+                problems.push(`${prefix}Skipped duplicate axle id ${id}`);
+                continue;
+            }
+            const name = typeof item.name === 'string' && item.name ? item.name : `Axle ${id}`;
+            const axle = new Axle(id, name);
+            axle.position = parsePosition(item.position);
+            axle.notes = typeof item.notes === 'string' ? item.notes : '';
+            axle.isOutput = !!item.isOutput;
+            axle.pinned = !!item.pinned;
+            loadedAxles.push(axle);
+        }
+        return loadedAxles;
+    }
+
+    /**
+     * Validate the tools of a design (or sub-assembly) document
+     * @param {*} items - Tool entries
+     * @param {Axle[]} axles - Loaded axles the connections may reference
+     * @param {Array} gearModes - Gear modes of the design or assembly
+     * @param {SubAssembly[]|null} assemblies - Sub-assemblies instances may use (null inside a sub-assembly)
+     * @param {string[]} problems - Problem list to append to
+     * @param {string} prefix - Prefix for problem messages
+     * @returns {Tool[]} Valid tools
+     */
+    function parseTools(items, axles, gearModes, assemblies, problems, prefix) {
+        const modes = gearModes.length;
+        const inAssembly = assemblies === null;
+        const loadedTools = [];
+        for (const item of Array.isArray(items) ? items : []) {
+            if (!item || !KNOWN_TOOL_TYPES.includes(item.type)) {
+                problems.push(`${prefix}Skipped tool with unknown type: ${JSON.stringify(item && item.type)}`);
+                continue;
+            }
+            if (typeof item.id !== 'string' || loadedTools.some(t => t.id === item.id)) {
+                problems.push(`${prefix}Skipped ${getToolTypeName(item.type)} with missing or duplicate id: ${JSON.stringify(item.id)}`);
+                continue;
+            }
+            if (item.id === 'source' && item.type !== 'source') {
+                problems.push(`${prefix}Skipped ${getToolTypeName(item.type)} ${item.id}: id "source" is reserved for a Source Axle`);
+                continue;
+            }
+            if (inAssembly && (item.type === 'source' || item.type === 'assembly')) {
+                problems.push(`${prefix}Skipped ${getToolTypeName(item.type)} ${item.id}: not allowed inside a sub-assembly`);
+                continue;
+            }
+
+            let tool;
+            let assembly = null;
+            if (item.type === 'assembly') {
+                const assemblyId = item.params && item.params.assemblyId;
+                assembly = assemblies.find(a => a.id === assemblyId);
+                if (!assembly) {
+                    problems.push(`${prefix}Skipped Sub-assembly ${item.id}: unknown sub-assembly ${JSON.stringify(assemblyId)}`);
+                    continue;
+                }
+                tool = createAssemblyTool(assembly, item.id, modes);
+            } else {
+                tool = createTool(item.type, item.id, modes);
+            }
+            tool.position = parsePosition(item.position);
+            const label = `${prefix}${getToolTypeName(tool.type)} ${tool.id}`;
+            Object.assign(tool.params, parseToolParams(tool, item.params || {}, gearModes, problems, label, assembly));
+
+            for (const connItem of Array.isArray(item.connections) ? item.connections : []) {
+                const conn = tool.connections.find(c => c.name === (connItem && connItem.name));
+                if (!conn) {
+                    problems.push(`${label}: unknown connection ${JSON.stringify(connItem && connItem.name)}`);
+                    continue;
+                }
+                const axleId = connItem.axleId;
+                if (axleId === null || axleId === undefined) continue;
+                if (!axles.some(a => a.id === axleId)) {
+                    problems.push(`${label}: connection ${conn.name} references missing axle ${JSON.stringify(axleId)}, disconnected`);
+                    continue;
+                }
+                conn.axleId = axleId;
+            }
+
+            loadedTools.push(tool);
+        }
+        return loadedTools;
+    }
+
+    /**
+     * Validate a saved graph position
+     * @param {*} position - Position from the design document
+     * @returns {Object|null} {x, y} or null (auto layout) if invalid
+     */
+    function parsePosition(position) {
+        if (position && Number.isFinite(position.x) && Number.isFinite(position.y)) {
+            return { x: position.x, y: position.y };
+        }
+        return null;
+    }
+
+    /**
+     * Validate loaded tool params against the defaults of the tool type
+     * @param {Tool} tool - Tool created with default params
+     * @param {Object} params - Params from the design document
+     * @param {Array} gearModes - Gear modes of the design
+     * @param {string[]} problems - Problem list to append to
+     * @param {string} label - Tool label for problem messages
+     * @param {SubAssembly} [assembly] - Sub-assembly of an instance
+     * @returns {Object} Valid params to apply over the defaults
+     */
+    function parseToolParams(tool, params, gearModes, problems, label, assembly = null) {
+        const modes = gearModes.length;
+        const valid = {};
+        if (params.efficiency !== undefined && tool.type !== 'source' && tool.type !== 'assembly') {
+            if (isValidEfficiency(params.efficiency)) {
+                valid.efficiency = params.efficiency;
+            } else {
+                problems.push(`${label}: invalid efficiency ${JSON.stringify(params.efficiency)}, using ${getDefaultEfficiency(tool)}%`);
+            }
+        }
+        switch (tool.type) {
+            case 'coupling':
+                for (const key of ['teethA', 'teethB']) {
+                    if (params[key] === undefined) continue;
+                    if (Number.isInteger(params[key]) && params[key] >= 1) {
+                        valid[key] = params[key];
+                    } else {
+                        problems.push(`${label}: invalid ${key} ${JSON.stringify(params[key])}, using ${tool.params[key]}`);
+                    }
+                }
+                for (const [key, teethKey] of [['partA', 'teethA'], ['partB', 'teethB']]) {
+                    if (params[key] === undefined) continue;
+                    const part = PARTS.find(p => p.id === params[key]);
+                    if (!part) {
+                        problems.push(`${label}: unknown ${key} ${JSON.stringify(params[key])}, ignored`);
+                        continue;
+                    }
+                    valid[key] = part.id;
+                    if (valid[teethKey] !== undefined && valid[teethKey] !== part.teeth) {
+                        problems.push(`${label}: ${teethKey} ${valid[teethKey]} does not match part ${part.id}, using ${part.teeth}`);
+                    }
+                    valid[teethKey] = part.teeth;
+                }
+                if (params.invertDirection !== undefined) {
+                    valid.invertDirection = !!params.invertDirection;
+                }
+                break;
+            case 'bevel':
+                for (const key of ['teethA', 'teethB']) {
+                    if (params[key] === undefined) continue;
+                    if (BEVEL_TEETH.includes(params[key])) {
+                        valid[key] = params[key];
+                    } else {
+                        problems.push(`${label}: invalid bevel ${key} ${JSON.stringify(params[key])}, using ${tool.params[key]}`);
+                    }
+                }
+                for (const key of ['axisA', 'axisB']) {
+                    if (params[key] === undefined) continue;
+                    if (AXES.includes(params[key])) {
+                        valid[key] = params[key];
+                    } else {
+                        problems.push(`${label}: invalid ${key} ${JSON.stringify(params[key])}, using ${tool.params[key]}`);
+                    }
+                }
+                if (params.invertDirection !== undefined) {
+                    valid.invertDirection = !!params.invertDirection;
+                }
+                break;
+            case 'worm':
+                if (params.worm !== undefined) {
+                    if (WORM_GEARS.includes(params.worm)) {
+                        valid.worm = params.worm;
+                    } else {
+                        problems.push(`${label}: invalid worm ${JSON.stringify(params.worm)}, using ${tool.params.worm}`);
+                    }
+                }
+                if (params.teethWheel !== undefined) {
+                    if (Number.isInteger(params.teethWheel) && params.teethWheel >= 1) {
+                        valid.teethWheel = params.teethWheel;
+                    } else {
+                        problems.push(`${label}: invalid teethWheel ${JSON.stringify(params.teethWheel)}, using ${tool.params.teethWheel}`);
+                    }
+                }
+                if (params.invertDirection !== undefined) {
+                    valid.invertDirection = !!params.invertDirection;
+                }
+                break;
+            case 'planetary':
+                for (const key of ['teethSun', 'teethRing']) {
+                    if (params[key] === undefined) continue;
+                    if (Number.isInteger(params[key]) && params[key] >= 1) {
+                        valid[key] = params[key];
+                    } else {
+                        problems.push(`${label}: invalid ${key} ${JSON.stringify(params[key])}, using ${tool.params[key]}`);
+                    }
+                }
+                break;
+            case 'clutch':
+                if (params.slipTorque !== undefined) {
+                    if (Number.isFinite(params.slipTorque) && params.slipTorque >= 0) {
+                        valid.slipTorque = params.slipTorque;
+                    } else {
+                        problems.push(`${label}: invalid slipTorque ${JSON.stringify(params.slipTorque)}, using ${tool.params.slipTorque}`);
+                    }
+                }
+                break;
+            case 'source':
+                for (const key of ['speed', 'torque']) {
+                    if (params[key] === undefined) continue;
+                    if (Number.isFinite(params[key])) {
+                        valid[key] = params[key];
+                    } else {
+                        problems.push(`${label}: invalid ${key} ${JSON.stringify(params[key])}, using ${tool.params[key]}`);
+                    }
+                }
+                valid.perModeValues = !!params.perModeValues;
+                if (params.motor !== undefined && params.motor !== '') {
+                    if (params.motor === 'custom' || MOTOR_PRESETS[params.motor]) {
+                        valid.motor = params.motor;
+                    } else {
+                        problems.push(`${label}: unknown motor ${JSON.stringify(params.motor)}, using abstract units`);
+                    }
+                }
+                for (const key of ['noLoadRpm', 'stallTorque']) {
+                    if (params[key] === undefined) continue;
+                    if (Number.isFinite(params[key]) && params[key] > 0) {
+                        valid[key] = params[key];
+                    } else {
+                        problems.push(`${label}: invalid ${key} ${JSON.stringify(params[key])}, ignored`);
+                    }
+                }
+                // Values of gear modes above the current count are kept for when they come back
+                for (const key of Object.keys(params).filter(k => /^(speed|torque)[1-9]\d*$/.test(k))) {
+                    if (Number.isFinite(params[key])) {
+                        valid[key] = params[key];
+                    } else {
+                        problems.push(`${label}: invalid ${key} ${JSON.stringify(params[key])}, ignored`);
+                    }
+                }
+                break;
+            case 'selector': {
+                const lastMode = Math.max(modes, ...Object.keys(params)
+                    .map(k => /^mode([1-9]\d*)$/.exec(k))
+                    .filter(match => match)
+                    .map(match => parseInt(match[1])));
+                for (let g = 1; g <= lastMode; g++) {
+                    const value = params[`mode${g}`];
+                    if (value === undefined) {
+                        if (g <= modes) valid[`mode${g}`] = 'Locked';
+                    } else if (['A', 'Locked', 'B'].includes(value)) {
+                        valid[`mode${g}`] = value;
+                    } else {
+                        const modeLabel = getGearModeLabel({ gearModes: gearModes }, g);
+                        problems.push(`${label}: invalid selection ${JSON.stringify(value)} in ${modeLabel}, using Locked`);
+                        valid[`mode${g}`] = 'Locked';
+                    }
+                }
+                break;
+            }
+            case 'assembly':
+                // Sub-assembly gear mode per gear mode; values above the current count are kept
+                for (const key of Object.keys(params).filter(k => /^mode[1-9]\d*$/.test(k))) {
+                    const value = params[key];
+                    if (Number.isInteger(value) && value >= 1 && value <= assembly.gearModes.length) {
+                        valid[key] = value;
+                    } else {
+                        problems.push(`${label}: invalid sub-assembly gear mode ${JSON.stringify(value)} in ${key}, using 1`);
+                        valid[key] = 1;
+                    }
+                }
+                break;
+        }
+        return valid;
+    }
+
+    // ==================== Templates ====================
+
+    // Built-in starting designs. `ratios` documents the expected output:input speed ratio
+    // per gear mode (null: the output is free-spinning); the gallery and tests/gearbox-templates.test.js
+    // check them with verifyTemplate().
+    const coupling = (id, a, b, teethA, teethB) => ({
+        id: id, type: 'coupling', params: { teethA: teethA, teethB: teethB, invertDirection: true },
+        connections: [{ name: 'Gear A', axleId: a }, { name: 'Gear B', axleId: b }]
+    });
+    const selector = (id, center, a, b, modes) => ({
+        id: id, type: 'selector', params: modes,
+        connections: [{ name: 'Center', axleId: center }, { name: 'A', axleId: a }, { name: 'B', axleId: b }]
+    });
+    const source = { id: 'source', type: 'source', params: { speed: 1, torque: 1 }, connections: [{ name: 'Output', axleId: 1 }] };
+    const named = (...names) => names.map(name => ({ name: name }));
+
+    const TEMPLATES = [
+        {
+            id: 'two-speed',
+            name: '2-speed',
+            description: 'Two gear paths from the input, picked by one selector on the output axle: low and high range.',
+            input: 1,
+            output: 4,
+            ratios: ['-1/3', '-3'],
+            design: {
+                gearModes: named('Low', 'High'),
+                axles: [{ id: 1, name: 'Input' }, { id: 2, name: 'Low' }, { id: 3, name: 'High' }, { id: 4, name: 'Output', isOutput: true }],
+                tools: [
+                    source,
+                    coupling('tool_1', 1, 2, 8, 24),
+                    coupling('tool_2', 1, 3, 24, 8),
+                    selector('tool_3', 4, 2, 3, { mode1: 'A', mode2: 'B' })
+                ]
+            }
+        },
+        {
+            id: 'four-speed-sequential',
+            name: '4-speed sequential',
+            description: 'Four gear paths and two selectors moved together by a shift drum, one gear mode after the other.',
+            input: 1,
+            output: 6,
+            ratios: ['-1/3', '-3/5', '-1', '-3/2'],
+            design: {
+                gearModes: named('1st', '2nd', '3rd', '4th'),
+                axles: [
+                    { id: 1, name: 'Input' }, { id: 2, name: 'Gear 1' }, { id: 3, name: 'Gear 2' },
+                    { id: 4, name: 'Gear 3' }, { id: 5, name: 'Gear 4' }, { id: 6, name: 'Output', isOutput: true }
+                ],
+                tools: [
+                    source,
+                    coupling('tool_1', 1, 2, 8, 24),
+                    coupling('tool_2', 1, 3, 12, 20),
+                    coupling('tool_3', 1, 4, 16, 16),
+                    coupling('tool_4', 1, 5, 24, 16),
+                    selector('tool_5', 6, 2, 3, { mode1: 'A', mode2: 'B', mode3: 'Locked', mode4: 'Locked' }),
+                    selector('tool_6', 6, 4, 5, { mode1: 'Locked', mode2: 'Locked', mode3: 'A', mode4: 'B' })
+                ],
+                shiftControls: [{ id: 1, name: 'Shift drum', selectorIds: ['tool_5', 'tool_6'] }]
+            }
+        },
+        {
+            id: 'reverse',
+            name: 'Forward / reverse',
+            description: 'An idler gear piece turns the forward path around; the selector picks forward or reverse at the same speed.',
+            input: 1,
+            output: 5,
+            ratios: ['1/3', '-1/3'],
+            design: {
+                gearModes: named('Forward', 'Reverse'),
+                axles: [
+                    { id: 1, name: 'Input' }, { id: 2, name: 'Idler' }, { id: 3, name: 'Forward' },
+                    { id: 4, name: 'Reverse' }, { id: 5, name: 'Output', isOutput: true }
+                ],
+                tools: [
+                    source,
+                    coupling('tool_1', 1, 2, 16, 16),
+                    coupling('tool_2', 2, 3, 8, 24),
+                    coupling('tool_3', 1, 4, 8, 24),
+                    selector('tool_4', 5, 3, 4, { mode1: 'A', mode2: 'B' })
+                ]
+            }
+        },
+        {
+            id: 'locking-differential',
+            name: 'Differential with lock',
+            description: 'The Open gear mode parks the driving ring on an idle stub, leaving the differential open (the wheels share the speed by their load, so they are free-spinning here); the Locked gear mode locks the body to the left wheel.',
+            input: 1,
+            output: 3,
+            ratios: [null, '-1/3'],
+            design: {
+                gearModes: named('Open', 'Locked'),
+                axles: [
+                    { id: 1, name: 'Input' }, { id: 2, name: 'Differential body' },
+                    { id: 3, name: 'Left wheel', isOutput: true }, { id: 4, name: 'Right wheel', isOutput: true },
+                    { id: 5, name: 'Idle stub' }
+                ],
+                tools: [
+                    source,
+                    coupling('tool_1', 1, 2, 8, 24),
+                    {
+                        id: 'tool_2', type: 'differential', params: {},
+                        connections: [{ name: 'Body', axleId: 2 }, { name: 'A', axleId: 3 }, { name: 'B', axleId: 4 }]
+                    },
+                    selector('tool_3', 2, 3, 5, { mode1: 'B', mode2: 'A' })
+                ]
+            }
+        },
+        {
+            id: 'planetary-reduction',
+            name: 'Planetary reduction',
+            description: 'Sun in, carrier out. The Reduction gear mode holds the ring still for a 1:4 reduction; Direct locks the ring to the sun.',
+            input: 1,
+            output: 2,
+            ratios: ['1/4', '1'],
+            design: {
+                gearModes: named('Reduction', 'Direct'),
+                axles: [{ id: 1, name: 'Sun (input)' }, { id: 2, name: 'Carrier (output)', isOutput: true }, { id: 3, name: 'Ring' }],
+                tools: [
+                    source,
+                    {
+                        id: 'tool_1', type: 'planetary', params: { teethSun: 12, teethRing: 36 },
+                        connections: [{ name: 'Sun', axleId: 1 }, { name: 'Carrier', axleId: 2 }, { name: 'Ring', axleId: 3 }]
+                    },
+                    selector('tool_2', 3, 1, null, { mode1: 'Locked', mode2: 'A' })
+                ]
+            }
+        }
+    ];
+
+    /**
+     * Build a fresh design from a template
+     * @param {Object} template - Entry of TEMPLATES
+     * @returns {Object} Design in the form returned by parseDesign()
+     */
+    function buildTemplateDesign(template) {
+        // Round-trip through JSON so every load gets its own objects
+        const data = JSON.parse(JSON.stringify(template.design));
+        return parseDesign(Object.assign({ schema: DESIGN_SCHEMA, version: DESIGN_VERSION }, data));
+    }
+
+    /**
+     * Solve a template and compare its ratios with the documented ones
+     * @param {Object} template - Entry of TEMPLATES
+     * @returns {Object} { ok, ratios: Array<Rational|null>, problems: string[] }
+     */
+    function verifyTemplate(template) {
+        const design = buildTemplateDesign(template);
+        const ratios = verifyDesignRatios(design, template.input, template.output);
+        const ok = design.problems.length === 0 && ratios.length === template.ratios.length &&
+            ratios.every((ratio, i) => (ratio === null ? null : ratio.toString()) === template.ratios[i]);
+        return { ok: ok, ratios: ratios, problems: design.problems };
+    }
+
+    const GearboxCore = {
+        // Constants
+        WORM_GEARS: WORM_GEARS,
+        SPUR_TEETH: SPUR_TEETH,
+        BEVEL_TEETH: BEVEL_TEETH,
+        AXES: AXES,
+        MAX_GEAR_MODES: MAX_GEAR_MODES,
+        DEFAULT_EFFICIENCY: DEFAULT_EFFICIENCY,
+        WORM_EFFICIENCY: WORM_EFFICIENCY,
+        MOTOR_PRESETS: MOTOR_PRESETS,
+        DEFAULT_TORQUE_LIMITS: DEFAULT_TORQUE_LIMITS,
+        GEAR_PIECE_TOOLS: GEAR_PIECE_TOOLS,
+        DESIGN_SCHEMA: DESIGN_SCHEMA,
+        DESIGN_VERSION: DESIGN_VERSION,
+        KNOWN_TOOL_TYPES: KNOWN_TOOL_TYPES,
+        // Data model
+        Axle: Axle,
+        Connection: Connection,
+        Tool: Tool,
+        ShiftControl: ShiftControl,
+        SubAssembly: SubAssembly,
+        GearMode: GearMode,
+        LinearSystem: LinearSystem,
+        createDesign: createDesign,
+        createTool: createTool,
+        getToolTypeName: getToolTypeName,
+        getToolLabel: getToolLabel,
+        getAxleName: getAxleName,
+        getSubAssembly: getSubAssembly,
+        createAssemblyTool: createAssemblyTool,
+        getGearModeLabel: getGearModeLabel,
+        moveGearMode: moveGearMode,
+        removeGearMode: removeGearMode,
+        // Sub-assemblies
+        groupTools: groupTools,
+        ungroupTool: ungroupTool,
+        expandAssemblies: expandAssemblies,
+        // Solver
+        computeDesign: computeDesign,
+        computeGearMode: computeGearMode,
+        getSelection: getSelection,
+        getSourceOutput: getSourceOutput,
+        getMotorModel: getMotorModel,
+        usesPhysicalUnits: usesPhysicalUnits,
+        getPowerWatts: getPowerWatts,
+        isConnectionUsed: isConnectionUsed,
+        getMesh: getMesh,
+        getToolEfficiency: getToolEfficiency,
+        getDefaultEfficiency: getDefaultEfficiency,
+        isValidEfficiency: isValidEfficiency,
+        getPlanetaryCoefficients: getPlanetaryCoefficients,
+        getPlanetaryError: getPlanetaryError,
+        getCouplingMesh: getCouplingMesh,
+        getAxleOrientations: getAxleOrientations,
+        getToolConstraints: getToolConstraints,
+        formatValue: formatValue,
+        findLoops: findLoops,
+        analyzeLoops: analyzeLoops,
+        analyzeModeSpacing: analyzeModeSpacing,
+        validateShiftControl: validateShiftControl,
+        verifyDesignRatios: verifyDesignRatios,
+        // Synthesis
+        findGearPaths: findGearPaths,
+        synthesizeGearbox: synthesizeGearbox,
+        buildSynthesisDesign: buildSynthesisDesign,
+        // Persistence
+        serializeDesign: serializeDesign,
+        parseDesign: parseDesign,
+        // Templates
+        TEMPLATES: TEMPLATES,
+        buildTemplateDesign: buildTemplateDesign,
+        verifyTemplate: verifyTemplate
+    };
+
+    // Export to global namespace if in browser, as a CommonJS module under Node
+    if (isBrowser) {
+        window.GearboxCore = GearboxCore;
+    } else if (typeof module !== 'undefined' && module.exports) {
+        module.exports = GearboxCore;
+    }
+})();
@@ -0,0 +1,151 @@
+(function () {
+    'use strict';
+
+    function gcd(a, b) {
+        if (a < 0n) a = -a;
+        if (b < 0n) b = -b;
+        while (b !== 0n) {
+            [a, b] = [b, a % b];
+        }
+        return a;
+    }
+
+    /**
+     * Rational class - exact fraction num/den with BigInt parts.
+     * Always reduced with a positive denominator; instances are immutable.
+     */
+    class Rational {
+        /**
+         * @param {bigint|number} num - Numerator (integer)
+         * @param {bigint|number} den - Denominator (non-zero integer)
+         */
+        constructor(num, den = 1n) {
+            num = BigInt(num);
+            den = BigInt(den);
+            if (den === 0n) {
+                throw new RangeError('Rational with zero denominator');
+            }
+            if (den < 0n) {
+                num = -num;
+                den = -den;
+            }
+            const divisor = gcd(num, den) || 1n;
+            this.num = num / divisor;
+            this.den = den / divisor;
+        }
+
+        /**
+         * Convert a number to the exact fraction of its decimal representation
+         * (0.1 -> 1/10, 1.5 -> 3/2). Rationals are returned unchanged.
+         * @param {number|Rational} value - Finite number or Rational
+         * @returns {Rational} The fraction
+         */
+        static from(value) {
+            if (value instanceof Rational) return value;
+            if (!Number.isFinite(value)) {
+                throw new RangeError(`Cannot convert ${value} to a Rational`);
+            }
+            if (Number.isInteger(value)) return new Rational(BigInt(value));
+
+            // Decimal digits and exponent from the shortest round-trip representation
+            const [mantissa, exponentText] = value.toExponential().split('e');
+            const [whole, fraction = ''] = mantissa.split('.');
+            const exponent = parseInt(exponentText) - fraction.length;
+            const digits = BigInt(whole + fraction);
+            return exponent >= 0
+                ? new Rational(digits * 10n ** BigInt(exponent))
+                : new Rational(digits, 10n ** BigInt(-exponent));
+        }
+
+        add(other) {
+            other = Rational.from(other);
+            return new Rational(this.num * other.den + other.num * this.den, this.den * other.den);
+        }
+
+        sub(other) {
+            other = Rational.from(other);
+            return new Rational(this.num * other.den - other.num * this.den, this.den * other.den);
+        }
+
+        mul(other) {
+            other = Rational.from(other);
+            return new Rational(this.num * other.num, this.den * other.den);
+        }
+
+        div(other) {
+            other = Rational.from(other);
+            if (other.num === 0n) {
+                throw new RangeError('Division by zero');
+            }
+            return new Rational(this.num * other.den, this.den * other.num);
+        }
+
+        neg() {
+            return new Rational(-this.num, this.den);
+        }
+
+        abs() {
+            return this.num < 0n ? this.neg() : this;
+        }
+
+        /**
+         * @returns {number} -1, 0 or 1
+         */
+        sign() {
+            return this.num === 0n ? 0 : (this.num < 0n ? -1 : 1);
+        }
+
+        isZero() {
+            return this.num === 0n;
+        }
+
+        isInteger() {
+            return this.den === 1n;
+        }
+
+        /**
+         * Exact equality
+         * @param {number|Rational} other - Value to compare with
+         * @returns {boolean} True if both are the same fraction
+         */
+        equals(other) {
+            other = Rational.from(other);
+            return this.num === other.num && this.den === other.den;
+        }
+
+        /**
+         * Exact comparison
+         * @param {number|Rational} other - Value to compare with
+         * @returns {number} Negative, zero or positive like a sort comparator
+         */
+        compare(other) {
+            other = Rational.from(other);
+            const difference = this.num * other.den - other.num * this.den;
+            return difference === 0n ? 0 : (difference < 0n ? -1 : 1);
+        }
+
+        /**
+         * @returns {number} Nearest float
+         */
+        toNumber() {
+            return Number(this.num) / Number(this.den);
+        }
+
+        /**
+         * @returns {string} Reduced fraction, e.g. "1/7", "-5/3" or "2"
+         */
+        toString() {
+            return this.den === 1n ? this.num.toString() : `${this.num}/${this.den}`;
+        }
+    }
+
+    Rational.ZERO = new Rational(0n);
+    Rational.ONE = new Rational(1n);
+
+    // Export to global namespace if in browser, as a CommonJS module under Node
+    if (typeof window !== 'undefined') {
+        window.Rational = Rational;
+    } else if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Rational;
+    }
+})();
@@ -5,7 +5,7 @@ class DataTable {
     /**
      * Create a new DataTable
      * @param {string} containerId - The id of the container element
-     * @param {Array} columns - Array of column definitions {key, label, type: 'number'|'text', formatter?}
+     * @param {Array} columns - Array of column definitions {key, label, type: 'number'|'text', formatter?, exportFormatter?}
      */
     constructor(containerId, columns) {
         this.containerId = containerId;
@@ -111,6 +111,28 @@ class DataTable {
         });
     }
 
+    /**
+     * Export the filtered rows in their current sort order as CSV.
+     * Columns may define exportFormatter(value, row) for a plain-text value;
+     * display formatters are not used because they may return HTML.
+     * @returns {string} CSV text with a header row
+     */
+    toCSV() {
+        const escape = (value) => {
+            if (value === undefined || value === null) return '';
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [this.columns.map(col => escape(col.label)).join(',')];
+        this.filteredData.forEach(row => {
+            lines.push(this.columns.map(col => {
+                const value = row[col.key];
+                return escape(col.exportFormatter ? col.exportFormatter(value, row) : value);
+            }).join(','));
+        });
+        return lines.join('\n');
+    }
+
     /**
      * Render the preset dropdown
      * @returns {HTMLElement} The preset dropdown container
@@ -1,65 +1,70 @@
 /**
  * Gearbox Module - Gearbox Calculator
  * Calculates gear ratios and configurations for Technic Brick gearboxes.
- * Allows users to design gearboxes by adding tools (Coupling, Selector, Differential)
- * and connecting them. Calculates speed and torque for each axle across multiple gear modes.
+ * Allows users to design gearboxes by adding tools (Coupling, Bevel Coupling, Worm Gear,
+ * Clutch Gear, Selector, Differential, Planetary) and connecting them; groups of tools can be
+ * reused as sub-assemblies. Calculates speed and torque for each axle across multiple gear modes.
+ * The data model and solver live in lib/gearbox-core.js (GearboxCore, usable without a DOM);
+ * this module keeps the current design in its state and builds the UI on top.
  * 
  * TERMINOLOGY:
- * - "gear mode" = overall gearbox operating mode (Mode 1, Mode 2, etc.) - DO NOT just call it "gear"
+ * - "gear mode" = overall gearbox operating mode (Mode 1, Mode 2, etc., or its name) - DO NOT just call it "gear"
  * - "gear piece" = individual circular component with teeth (Gear A, Gear B on couplings)
  * - "mode" params in selectors (mode1, mode2, etc.) = which connection is active for that gear mode
  */
 (function() {
     'use strict';
 
-    // ==================== Data Model ====================
+    const { formatNumber, downloadFile, downloadPDF } = window.Utils;
+    const { PARTS } = window.GearData;
+    const {
+        WORM_GEARS, SPUR_TEETH, BEVEL_TEETH, AXES, MAX_GEAR_MODES, MOTOR_PRESETS, DEFAULT_TORQUE_LIMITS, TEMPLATES,
+        Axle, Tool, ShiftControl, GearMode, getToolTypeName, getSubAssembly, getSelection, getSourceOutput, getMotorModel, getPowerWatts,
+        getDefaultEfficiency, isValidEfficiency, getCouplingMesh, formatValue, parseDesign, verifyDesignRatios, buildTemplateDesign, verifyTemplate
+    } = window.GearboxCore;
+    const Core = window.GearboxCore;
 
-    /**
-     * Axle class - represents a connection point between tools
-     */
-    class Axle {
-        constructor(id, name) {
-            this.id = id;
-            this.name = name;
-        }
-    }
-
-    /**
-     * Connection class - represents a connection point on a tool
-     */
-    class Connection {
-        constructor(name, tool) {
-            this.name = name;       // e.g., "Gear A", "Gear B", "Center", "A", "B", "Body"
-            this.tool = tool;       // parent tool reference
-            this.axleId = null;     // which axle this connects to (null = disconnected)
-        }
-    }
-
-    /**
-     * Tool class - represents a gearbox component
-     */
-    class Tool {
-        constructor(type, id) {
-            this.type = type;       // 'source', 'coupling', 'selector', 'differential'
-            this.id = id;
-            this.connections = [];  // array of Connection
-            this.params = {};       // tool-specific parameters
-            this.status = {};       // per-gear-mode status: { gearModeNum: { error: string, flagged: bool } }
-        }
-    }
+    const STORAGE_KEY = 'technic-tools.gearbox.design';
 
     // ==================== Module State ====================
 
-    let numGearModes = 3;
+    let gearModes = [];           // GearMode list; per-mode data is keyed by position (1-based)
     let tools = [];
     let axles = [];
     let nextToolId = 1;
     let nextAxleId = 2;  // 1 is pre-created for source
+    let shiftControls = [];
+    let nextShiftControlId = 1;
+    let subAssemblies = [];
+    let nextSubAssemblyId = 1;
+    let torqueLimits = Object.assign({}, DEFAULT_TORQUE_LIMITS);
     let selectedAxleId = 1;
+    let selectedToolId = null;
+    let graphStatusMode = 'all';  // gear mode whose status colors the graph nodes
+    let lastResults = {};         // gear mode -> result of Core.computeGearMode()
+    let loopAnalysis = { loops: [], deadAxles: [] };  // result of Core.analyzeLoops()
+    let synthesisCandidates = []; // last results of synthesizeGearbox()
+    let matrixTable = null;       // DataTable of all axles × gear modes
+    let bomTable = null;          // DataTable of the bill of materials
+
+    // Rotation preview: the fastest axle (over all gear modes) turns ANIMATION_MAX_RPS times per second
+    const ANIMATION_MAX_RPS = 1;
+    const ANIMATION_AXLE_RADIUS = 22;
+    let animationMode = 1;
+    let animationPlaying = false;
+    let animationFrame = null;    // requestAnimationFrame id while playing
+    let animationTime = null;     // timestamp of the previous frame
+    let animationAngles = new Map();  // axleId -> current marker angle in degrees
+
+    // Undo/redo history of design edits: { label, before, after } with design snapshots
+    const HISTORY_LIMIT = 100;
+    let undoStack = [];
+    let redoStack = [];
+    let editDepth = 0;            // > 0 while an edit runs; nested edits merge into the outer one
     let container = null;
 
-    // Source tool (always exists, cannot be removed)
-    let sourceTool = null;
+    // Last load report shown above the diagram
+    let messages = { title: '', problems: [], isError: false };
 
     // ==================== Initialization ====================
 
@@ -70,38 +75,87 @@
             return;
         }
 
-        // Initialize data
-        resetData();
+        // Initialize data (restore the autosaved design if there is one)
+        if (!loadFromStorage()) {
+            resetData();
+        }
 
         // Build UI
         container.innerHTML = '';
         renderControls();
+        renderTemplates();
+        renderMessagesArea();
+        renderGraph();
         renderDiagram();
         renderResults();
+        renderSynthesis();
+
+        document.addEventListener('keydown', handleHistoryKeys);
 
         // Initial computation
         compute();
+        updateDiagram();  // Update status display
     }
 
     function resetData() {
-        numGearModes = 3;
+        gearModes = [new GearMode(), new GearMode(), new GearMode()];
         tools = [];
         axles = [];
         nextToolId = 1;
         nextAxleId = 2;
+        shiftControls = [];
+        nextShiftControlId = 1;
+        subAssemblies = [];
+        nextSubAssemblyId = 1;
+        torqueLimits = Object.assign({}, DEFAULT_TORQUE_LIMITS);
+        animationAngles = new Map();
         selectedAxleId = 1;
+        selectedToolId = null;
 
         // Create initial axle
         axles.push(new Axle(1, 'Axle 1'));
 
         // Create source tool
-        sourceTool = new Tool('source', 'source');
-        const sourceConn = new Connection('Output', sourceTool);
-        sourceConn.axleId = 1;  // Pre-connected to Axle 1
-        sourceTool.connections.push(sourceConn);
+        const sourceTool = Core.createTool('source', 'source');
+        sourceTool.connections[0].axleId = 1;  // Pre-connected to Axle 1
         tools.push(sourceTool);
     }
 
+    /**
+     * The current design in the form GearboxCore works on (the arrays are the module state itself)
+     * @returns {Object} Design, see Core.parseDesign()
+     */
+    function getDesign() {
+        return {
+            gearModes: gearModes,
+            tools: tools,
+            axles: axles,
+            nextToolId: nextToolId,
+            nextAxleId: nextAxleId,
+            shiftControls: shiftControls,
+            nextShiftControlId: nextShiftControlId,
+            subAssemblies: subAssemblies,
+            nextSubAssemblyId: nextSubAssemblyId,
+            torqueLimits: torqueLimits
+        };
+    }
+
+    function getToolLabel(toolId) {
+        return Core.getToolLabel(getDesign(), toolId);
+    }
+
+    function getAxleName(axleId) {
+        return Core.getAxleName(getDesign(), axleId);
+    }
+
+    function usesPhysicalUnits() {
+        return Core.usesPhysicalUnits(getDesign());
+    }
+
+    function modeLabel(gearModeNum) {
+        return Core.getGearModeLabel(getDesign(), gearModeNum);
+    }
+
     // ==================== UI Rendering ====================
 
     function renderControls() {
@@ -110,28 +164,95 @@
         controlsDiv.innerHTML = `
             <div class="control-group">
                 <label for="num-gear-modes">Number of Gear Modes:</label>
-                <input type="number" id="num-gear-modes" min="1" max="9" value="${numGearModes}">
+                <input type="number" id="num-gear-modes" min="1" max="${MAX_GEAR_MODES}" value="${gearModes.length}">
             </div>
+            <div class="control-group" title="Checked when every source uses a motor model">
+                <label for="axle-torque-limit">Axle limit (N·cm):</label>
+                <input type="number" id="axle-torque-limit" min="0" step="any" value="${torqueLimits.axle}">
+            </div>
+            <div class="control-group" title="Checked when every source uses a motor model">
+                <label for="gear-torque-limit">Gear piece limit (N·cm):</label>
+                <input type="number" id="gear-torque-limit" min="0" step="any" value="${torqueLimits.gearPiece}">
+            </div>
+            <button class="btn btn-primary" id="add-source">Add Source</button>
             <button class="btn btn-primary" id="add-coupling">Add Coupling</button>
+            <button class="btn btn-primary" id="add-bevel">Add Bevel</button>
+            <button class="btn btn-primary" id="add-worm">Add Worm</button>
+            <button class="btn btn-primary" id="add-clutch">Add Clutch</button>
             <button class="btn btn-primary" id="add-selector">Add Selector</button>
             <button class="btn btn-primary" id="add-differential">Add Differential</button>
+            <button class="btn btn-primary" id="add-planetary">Add Planetary</button>
+            <div class="design-actions">
+                <button class="btn btn-secondary" id="undo-edit" disabled>Undo</button>
+                <button class="btn btn-secondary" id="redo-edit" disabled>Redo</button>
+                <button class="btn btn-secondary" id="new-design">New</button>
+                <button class="btn btn-secondary" id="export-design">Export JSON</button>
+                <button class="btn btn-secondary" id="import-design">Import JSON</button>
+                <input type="file" id="import-design-file" accept=".json,application/json" class="hidden">
+            </div>
         `;
         container.appendChild(controlsDiv);
 
         // Event listeners
         document.getElementById('num-gear-modes').addEventListener('change', (e) => {
             const val = parseInt(e.target.value);
-            if (val >= 1 && val <= 9) {
-                numGearModes = val;
-                updateSelectorParams();
-                updateDiagram();
-                compute();
+            if (val >= 1 && val <= MAX_GEAR_MODES) {
+                editDesign('Change number of gear modes', () => {
+                    // Dropped gear modes keep their selector and source values for when they come back
+                    gearModes = gearModes.slice(0, val);
+                    while (gearModes.length < val) gearModes.push(new GearMode());
+                    updateSelectorParams();
+                    updateDiagram();
+                    compute();
+                });
             }
         });
 
+        const limitInputs = { axle: 'axle-torque-limit', gearPiece: 'gear-torque-limit' };
+        for (const [key, id] of Object.entries(limitInputs)) {
+            document.getElementById(id).addEventListener('change', (e) => {
+                const val = parseFloat(e.target.value);
+                if (!(val >= 0)) {
+                    e.target.value = torqueLimits[key];
+                    return;
+                }
+                editDesign('Change torque limits', () => {
+                    torqueLimits[key] = val;
+                    compute();
+                    updateDiagram();
+                });
+            });
+        }
+
+        document.getElementById('add-source').addEventListener('click', () => addTool('source'));
         document.getElementById('add-coupling').addEventListener('click', () => addTool('coupling'));
+        document.getElementById('add-bevel').addEventListener('click', () => addTool('bevel'));
+        document.getElementById('add-worm').addEventListener('click', () => addTool('worm'));
+        document.getElementById('add-clutch').addEventListener('click', () => addTool('clutch'));
         document.getElementById('add-selector').addEventListener('click', () => addTool('selector'));
         document.getElementById('add-differential').addEventListener('click', () => addTool('differential'));
+        document.getElementById('add-planetary').addEventListener('click', () => addTool('planetary'));
+
+        document.getElementById('undo-edit').addEventListener('click', undo);
+        document.getElementById('redo-edit').addEventListener('click', redo);
+
+        const fileInput = document.getElementById('import-design-file');
+        document.getElementById('new-design').addEventListener('click', newDesign);
+        document.getElementById('export-design').addEventListener('click', exportDesign);
+        document.getElementById('import-design').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                importDesign(e.target.files[0]);
+            }
+            e.target.value = '';  // Allow importing the same file again
+        });
+    }
+
+    function renderMessagesArea() {
+        const messagesDiv = document.createElement('div');
+        messagesDiv.id = 'gearbox-messages';
+        container.appendChild(messagesDiv);
+        renderMessages();
     }
 
     function renderDiagram() {
@@ -139,6 +260,61 @@
         diagramDiv.className = 'gearbox-diagram';
         diagramDiv.id = 'gearbox-diagram';
         container.appendChild(diagramDiv);
+
+        const modesDiv = document.createElement('div');
+        modesDiv.className = 'gearbox-modes';
+        modesDiv.innerHTML = `
+            <div class="gearbox-modes-header">
+                <h3>Gear Modes</h3>
+                <button class="btn btn-outline" id="add-gear-mode">Add Gear Mode</button>
+            </div>
+            <div class="gear-mode-list" id="gear-mode-list"></div>
+        `;
+        container.appendChild(modesDiv);
+
+        document.getElementById('add-gear-mode').addEventListener('click', addGearMode);
+        attachGearModeListeners(document.getElementById('gear-mode-list'));
+
+        const axlesDiv = document.createElement('div');
+        axlesDiv.className = 'gearbox-axles';
+        axlesDiv.innerHTML = `
+            <div class="gearbox-axles-header">
+                <h3>Axles</h3>
+                <button class="btn btn-outline" id="add-axle">Add Axle</button>
+            </div>
+            <div class="axle-list" id="axle-list"></div>
+        `;
+        container.appendChild(axlesDiv);
+
+        document.getElementById('add-axle').addEventListener('click', addPinnedAxle);
+        attachAxleListeners(document.getElementById('axle-list'));
+
+        const shiftDiv = document.createElement('div');
+        shiftDiv.className = 'gearbox-shift';
+        shiftDiv.innerHTML = `
+            <div class="gearbox-shift-header">
+                <h3>Shift Controls</h3>
+                <button class="btn btn-outline" id="add-shift-control">Add Shift Control</button>
+            </div>
+            <div class="shift-control-list" id="shift-control-list"></div>
+        `;
+        container.appendChild(shiftDiv);
+
+        document.getElementById('add-shift-control').addEventListener('click', addShiftControl);
+        attachShiftControlListeners(document.getElementById('shift-control-list'));
+
+        const assembliesDiv = document.createElement('div');
+        assembliesDiv.className = 'gearbox-assemblies';
+        assembliesDiv.innerHTML = `
+            <div class="gearbox-assemblies-header">
+                <h3>Sub-assemblies</h3>
+            </div>
+            <div class="assembly-group" id="assembly-group"></div>
+            <div class="assembly-list" id="assembly-list"></div>
+        `;
+        container.appendChild(assembliesDiv);
+
+        attachAssemblyListeners(assembliesDiv);
         updateDiagram();
     }
 
@@ -148,11 +324,39 @@
         resultsDiv.id = 'gearbox-results';
         resultsDiv.innerHTML = `
             <h3>Results</h3>
+            <div class="results-outputs" id="results-outputs"></div>
             <div class="results-controls">
                 <label for="axle-selector">Select Axle:</label>
                 <select id="axle-selector"></select>
             </div>
-            <div class="chart-container" id="results-chart"></div>
+            <div class="results-chart-row">
+                <div class="chart-container" id="results-chart"></div>
+                <div class="results-spacing" id="results-spacing"></div>
+            </div>
+            <div class="results-animation">
+                <div class="results-animation-header">
+                    <h4>Rotation Preview</h4>
+                    <select id="animation-mode"></select>
+                    <button class="btn btn-outline" id="animation-toggle">${animationPlaying ? 'Pause' : 'Play'}</button>
+                </div>
+                <svg id="results-animation" class="animation-svg" xmlns="http://www.w3.org/2000/svg"></svg>
+            </div>
+            <div class="results-diagnostics" id="results-diagnostics"></div>
+            <div class="results-loops" id="results-loops"></div>
+            <div class="results-efficiency" id="results-efficiency"></div>
+            <div class="results-matrix-header">
+                <h4>All Axles</h4>
+                <button class="btn btn-outline" id="results-matrix-export">Export CSV</button>
+            </div>
+            <div class="results-matrix" id="results-matrix"></div>
+            <div class="results-matrix-header">
+                <h4>Bill of Materials</h4>
+                <div class="results-bom-actions">
+                    <button class="btn btn-outline" id="results-bom-csv">Export CSV</button>
+                    <button class="btn btn-outline" id="results-bom-pdf">Export PDF</button>
+                </div>
+            </div>
+            <div class="results-bom" id="results-bom"></div>
             <div class="chart-legend">
                 <div class="legend-item">
                     <div class="legend-color speed"></div>
@@ -168,7 +372,34 @@
 
         document.getElementById('axle-selector').addEventListener('change', (e) => {
             selectedAxleId = parseInt(e.target.value);
+            updateGraph();
             renderResultsChart();
+            renderModeSpacing();
+        });
+        document.getElementById('animation-mode').addEventListener('change', (e) => {
+            animationMode = parseInt(e.target.value);
+            renderAnimation();
+        });
+        document.getElementById('animation-toggle').addEventListener('click', () => {
+            setAnimationPlaying(!animationPlaying);
+        });
+        document.getElementById('results-matrix-export').addEventListener('click', () => {
+            if (matrixTable) downloadFile(matrixTable.toCSV(), 'gearbox-axles.csv', 'text/csv');
+        });
+        document.getElementById('results-bom-csv').addEventListener('click', () => {
+            if (bomTable) downloadFile(bomTable.toCSV(), 'gearbox-bom.csv', 'text/csv');
+        });
+        document.getElementById('results-bom-pdf').addEventListener('click', () => {
+            if (!bomTable) return;
+            const total = bomTable.filteredData.reduce((sum, row) => sum + row.quantity, 0);
+            downloadPDF(bomTable.filteredData, bomTable.columns, {
+                title: 'Gearbox Bill of Materials',
+                lines: [
+                    `Gear modes: ${gearModes.length}`,
+                    `Tools: ${tools.length}`,
+                    `Total parts: ${total}`
+                ]
+            }, 'gearbox-bom.pdf');
         });
 
         updateAxleSelector();
@@ -184,6 +415,45 @@
             const card = createToolCard(tool);
             diagram.appendChild(card);
         }
+        updateGearModeList();
+        updateAxleList();
+        updateShiftControlList();
+        updateAssemblyList();
+    }
+
+    /**
+     * Render the axle editor: name, output marker, pin and notes per axle
+     */
+    function updateAxleList() {
+        const list = document.getElementById('axle-list');
+        if (!list) return;
+
+        list.innerHTML = axles.map(axle => {
+            const connected = tools.some(t => t.connections.some(c => c.axleId === axle.id));
+            return `
+                <div class="axle-row${axle.isOutput ? ' output' : ''}" data-axle-id="${axle.id}">
+                    <input type="text" class="axle-input axle-name" data-field="name" value="${escapeHtml(axle.name)}">
+                    <label title="Summarize this axle at the top of the results">
+                        <input type="checkbox" class="axle-input" data-field="isOutput" ${axle.isOutput ? 'checked' : ''}> Output
+                    </label>
+                    <label title="Keep this axle when no tool is connected">
+                        <input type="checkbox" class="axle-input" data-field="pinned" ${axle.pinned ? 'checked' : ''}> Pin
+                    </label>
+                    <input type="text" class="axle-input axle-notes" data-field="notes" value="${escapeHtml(axle.notes)}" placeholder="Notes">
+                    ${connected ? '' : '<span class="axle-unused">not connected</span>'}
+                </div>
+            `;
+        }).join('');
+    }
+
+    function attachAxleListeners(list) {
+        list.addEventListener('change', (e) => {
+            const row = e.target.closest('.axle-row');
+            if (!row || !e.target.classList.contains('axle-input')) return;
+            const field = e.target.dataset.field;
+            const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+            updateAxle(parseInt(row.dataset.axleId), field, value);
+        });
     }
 
     function createToolCard(tool) {
@@ -194,34 +464,39 @@
         if (tool.type === 'source') {
             card.classList.add('source');
         }
+        if (tool.id === selectedToolId) {
+            card.classList.add('selected');
+        }
 
         // Check for errors or flags
         const hasError = Object.values(tool.status).some(s => s.error);
         const hasFlag = Object.values(tool.status).some(s => s.flagged);
         if (hasError) card.classList.add('has-error');
         else if (hasFlag) card.classList.add('has-flag');
+        const loopNotes = getLoopNotes(tool);
+        if (loopNotes.length > 0) card.classList.add('in-loop');
 
         // Header
         const header = document.createElement('div');
         header.className = 'tool-header';
         header.innerHTML = `
-            <span class="tool-type ${tool.type}">${getToolTypeName(tool.type)}</span>
-            ${tool.type !== 'source' ? '<button class="remove-tool">×</button>' : ''}
+            <span class="tool-type ${tool.type}">${escapeHtml(getToolLabel(tool.id))}</span>
+            <button class="remove-tool">×</button>
         `;
         card.appendChild(header);
 
-        if (tool.type !== 'source') {
-            header.querySelector('.remove-tool').addEventListener('click', () => removeTool(tool.id));
-        }
+        header.querySelector('.remove-tool').addEventListener('click', () => removeTool(tool.id));
 
         // Parameters
         const paramsDiv = document.createElement('div');
         paramsDiv.className = 'tool-params';
-        paramsDiv.innerHTML = renderToolParams(tool);
+        paramsDiv.innerHTML = renderToolParams(tool) + renderEfficiencyParam(tool);
         card.appendChild(paramsDiv);
 
         // Add param event listeners
         attachParamListeners(paramsDiv, tool);
+        const ungroupButton = paramsDiv.querySelector('.ungroup-tool');
+        if (ungroupButton) ungroupButton.addEventListener('click', () => ungroupInstance(tool.id));
 
         // Connections
         const connDiv = document.createElement('div');
@@ -235,20 +510,28 @@
         // Status
         const statusDiv = document.createElement('div');
         statusDiv.className = 'tool-status';
-        statusDiv.innerHTML = renderToolStatus(tool);
+        statusDiv.innerHTML = renderToolStatus(tool) +
+            loopNotes.map(note => `<div class="tool-loop-note">${escapeHtml(note)}</div>`).join('');
         card.appendChild(statusDiv);
 
         return card;
     }
 
-    function getToolTypeName(type) {
-        const names = {
-            'source': 'Source Axle',
-            'coupling': 'Coupling',
-            'selector': 'Selector',
-            'differential': 'Differential'
-        };
-        return names[type] || type;
+    /**
+     * Render the efficiency input shared by all transmitting tools
+     * @param {Tool} tool - The tool
+     * @returns {string} HTML (empty for sources and sub-assemblies, whose tools have their own)
+     */
+    function renderEfficiencyParam(tool) {
+        if (tool.type === 'source' || tool.type === 'assembly') return '';
+        const value = tool.params.efficiency !== undefined ? tool.params.efficiency : '';
+        return `
+            <div class="param-row">
+                <label>Efficiency (%):</label>
+                <input type="number" class="param-input" data-param="efficiency" min="1" max="100" step="any"
+                       value="${value}" placeholder="${getDefaultEfficiency(tool)}">
+            </div>
+        `;
     }
 
     function renderToolParams(tool) {
@@ -259,16 +542,25 @@
                 const gearRatio = (teethA / teethB).toFixed(2);
                 const invertDir = tool.params.invertDirection !== undefined ? tool.params.invertDirection : true;
                 return `
+                    <div class="param-row">
+                        <label>Part A:</label>
+                        ${renderPartSelect('partA', tool.params.partA)}
+                    </div>
                     <div class="param-row">
                         <label>Teeth A:</label>
                         <input type="number" class="param-input" data-param="teethA" 
-                               min="1" step="4" value="${teethA}">
+                               min="1" step="4" value="${teethA}" ${tool.params.partA ? 'disabled' : ''}>
+                    </div>
+                    <div class="param-row">
+                        <label>Part B:</label>
+                        ${renderPartSelect('partB', tool.params.partB)}
                     </div>
                     <div class="param-row">
                         <label>Teeth B:</label>
                         <input type="number" class="param-input" data-param="teethB" 
-                               min="8" step="4" value="${teethB}">
+                               min="8" step="4" value="${teethB}" ${tool.params.partB ? 'disabled' : ''}>
                     </div>
+                    ${renderCouplingMounting(tool)}
                     <div class="param-row">
                         <label>
                             <input type="checkbox" class="param-input" data-param="invertDirection" 
@@ -281,14 +573,108 @@
                         <span>${gearRatio}</span>
                     </div>
                 `;
-            case 'selector':
-                let html = '';
-                for (let g = 1; g <= numGearModes; g++) {
+            case 'bevel': {
+                const teethA = tool.params.teethA || 12;
+                const teethB = tool.params.teethB || 12;
+                const invertDir = tool.params.invertDirection !== undefined ? tool.params.invertDirection : true;
+                return `
+                    <div class="param-row">
+                        <label>Teeth A:</label>
+                        ${renderOptionsSelect('teethA', BEVEL_TEETH, teethA, true)}
+                        <label>Axis:</label>
+                        ${renderOptionsSelect('axisA', AXES, tool.params.axisA || 'X')}
+                    </div>
+                    <div class="param-row">
+                        <label>Teeth B:</label>
+                        ${renderOptionsSelect('teethB', BEVEL_TEETH, teethB, true)}
+                        <label>Axis:</label>
+                        ${renderOptionsSelect('axisB', AXES, tool.params.axisB || 'Y')}
+                    </div>
+                    <div class="param-row">
+                        <label>
+                            <input type="checkbox" class="param-input" data-param="invertDirection"
+                                   ${invertDir ? 'checked' : ''}>
+                            Invert direction
+                        </label>
+                    </div>
+                    <div class="param-row">
+                        <label>Gear ratio:</label>
+                        <span>${(teethA / teethB).toFixed(2)}</span>
+                    </div>
+                `;
+            }
+            case 'worm': {
+                const teethWheel = tool.params.teethWheel || 24;
+                const invertDir = tool.params.invertDirection !== undefined ? tool.params.invertDirection : true;
+                return `
+                    <div class="param-row">
+                        <label>Worm:</label>
+                        ${renderOptionsSelect('worm', WORM_GEARS, tool.params.worm || '1(1L)')}
+                    </div>
+                    <div class="param-row">
+                        <label>Wheel teeth:</label>
+                        ${renderOptionsSelect('teethWheel', SPUR_TEETH, teethWheel, true)}
+                    </div>
+                    <div class="param-row">
+                        <label>
+                            <input type="checkbox" class="param-input" data-param="invertDirection"
+                                   ${invertDir ? 'checked' : ''}>
+                            Invert direction
+                        </label>
+                    </div>
+                    <div class="param-row">
+                        <label>Gear ratio:</label>
+                        <span>1:${teethWheel} (not back-drivable)</span>
+                    </div>
+                `;
+            }
+            case 'clutch': {
+                const slipTorque = tool.params.slipTorque !== undefined ? tool.params.slipTorque : 2.5;
+                return `
+                    <div class="param-row">
+                        <label>Slip torque:</label>
+                        <input type="number" class="param-input" data-param="slipTorque" step="any" min="0" value="${slipTorque}">
+                    </div>
+                `;
+            }
+            case 'planetary': {
+                const teethSun = tool.params.teethSun || 12;
+                const teethRing = tool.params.teethRing || 36;
+                const planetTeeth = (teethRing - teethSun) / 2;
+                return `
+                    <div class="param-row">
+                        <label>Sun teeth:</label>
+                        <input type="number" class="param-input" data-param="teethSun" min="1" value="${teethSun}">
+                    </div>
+                    <div class="param-row">
+                        <label>Ring teeth:</label>
+                        <input type="number" class="param-input" data-param="teethRing" min="2" value="${teethRing}">
+                    </div>
+                    <div class="param-row">
+                        <label>Planet teeth:</label>
+                        <span>${planetTeeth > 0 ? planetTeeth : '—'}</span>
+                    </div>
+                    <div class="param-row">
+                        <label>Ring locked:</label>
+                        <span>${(teethSun / (teethSun + teethRing)).toFixed(3)} (sun → carrier)</span>
+                    </div>
+                    <div class="param-row">
+                        <label>Carrier locked:</label>
+                        <span>${(-teethSun / teethRing).toFixed(3)} (sun → ring)</span>
+                    </div>
+                `;
+            }
+            case 'selector': {
+                const control = getShiftControlOf(tool.id);
+                let html = control
+                    ? `<div class="param-row shift-note">Shifted by ${escapeHtml(control.name)}</div>`
+                    : '';
+                for (let g = 1; g <= gearModes.length; g++) {
                     const sel = tool.params[`mode${g}`] || 'Locked';
                     html += `
                         <div class="param-row">
-                            <label>Mode ${g}:</label>
-                            <select class="param-input" data-param="mode${g}">
+                            <label>${escapeHtml(modeLabel(g))}:</label>
+                            <select class="param-input" data-param="mode${g}" ${control ? 'disabled' : ''}>
                                 <option value="A" ${sel === 'A' ? 'selected' : ''}>A</option>
                                 <option value="Locked" ${sel === 'Locked' ? 'selected' : ''}>Locked</option>
                                 <option value="B" ${sel === 'B' ? 'selected' : ''}>B</option>
@@ -297,21 +683,179 @@
                     `;
                 }
                 return html;
+            }
+            case 'source': {
+                const speed = tool.params.speed !== undefined ? tool.params.speed : 1;
+                const torque = tool.params.torque !== undefined ? tool.params.torque : 1;
+                const motor = getMotorModel(tool);
+                const motorOptions = Object.entries(MOTOR_PRESETS).map(([key, preset]) =>
+                    `<option value="${key}" ${tool.params.motor === key ? 'selected' : ''}>${preset.name}</option>`
+                ).join('');
+                let sourceHtml = `
+                    <div class="param-row">
+                        <label>Motor:</label>
+                        <select class="param-input" data-param="motor">
+                            <option value="">None (abstract units)</option>
+                            ${motorOptions}
+                            <option value="custom" ${tool.params.motor === 'custom' ? 'selected' : ''}>Custom</option>
+                        </select>
+                    </div>
+                `;
+                if (tool.params.motor === 'custom') {
+                    sourceHtml += `
+                        <div class="param-row">
+                            <label>No-load rpm:</label>
+                            <input type="number" class="param-input" data-param="noLoadRpm" step="any" min="0" value="${motor.noLoadRpm}">
+                        </div>
+                        <div class="param-row">
+                            <label>Stall N·cm:</label>
+                            <input type="number" class="param-input" data-param="stallTorque" step="any" min="0" value="${motor.stallTorque}">
+                        </div>
+                    `;
+                } else if (motor) {
+                    sourceHtml += `
+                        <div class="param-row">
+                            <label>Curve:</label>
+                            <span>${motor.noLoadRpm} rpm no-load, ${motor.stallTorque} N·cm stall</span>
+                        </div>
+                    `;
+                }
+                if (motor) {
+                    // The load torque sets the operating point on the torque–speed curve
+                    sourceHtml += `
+                        <div class="param-row">
+                            <label>Load N·cm:</label>
+                            <input type="number" class="param-input" data-param="torque" step="any" min="0" value="${torque}">
+                        </div>
+                        <div class="param-row">
+                            <label>Motor speed:</label>
+                            <span>${formatExact(getSourceOutput(tool, 1).speed)} rpm</span>
+                        </div>
+                    `;
+                } else {
+                    sourceHtml += `
+                        <div class="param-row">
+                            <label>Speed:</label>
+                            <input type="number" class="param-input" data-param="speed" step="any" value="${speed}">
+                        </div>
+                        <div class="param-row">
+                            <label>Torque:</label>
+                            <input type="number" class="param-input" data-param="torque" step="any" min="0" value="${torque}">
+                        </div>
+                    `;
+                }
+                sourceHtml += `
+                    <div class="param-row">
+                        <label>
+                            <input type="checkbox" class="param-input" data-param="perModeValues"
+                                   ${tool.params.perModeValues ? 'checked' : ''}>
+                            Per-mode values
+                        </label>
+                    </div>
+                `;
+                if (tool.params.perModeValues) {
+                    // Empty inputs fall back to the values above
+                    for (let g = 1; g <= gearModes.length; g++) {
+                        const modeSpeed = tool.params[`speed${g}`] !== undefined ? tool.params[`speed${g}`] : '';
+                        const modeTorque = tool.params[`torque${g}`] !== undefined ? tool.params[`torque${g}`] : '';
+                        sourceHtml += `
+                            <div class="param-row">
+                                <label>${escapeHtml(modeLabel(g))}:</label>
+                                ${motor ? '' : `<input type="number" class="param-input" data-param="speed${g}" step="any"
+                                       placeholder="${speed}" value="${modeSpeed}" title="Speed">`}
+                                <input type="number" class="param-input" data-param="torque${g}" step="any" min="0"
+                                       placeholder="${torque}" value="${modeTorque}" title="${motor ? 'Load torque' : 'Torque'}">
+                            </div>
+                        `;
+                    }
+                }
+                return sourceHtml;
+            }
+            case 'assembly': {
+                // Sub-assembly gear mode per gear mode of the design
+                const assembly = getSubAssembly(getDesign(), tool);
+                if (!assembly) return '<div class="param-row status-error">Unknown sub-assembly</div>';
+                let assemblyHtml = `<div class="param-row assembly-contents">${escapeHtml(describeAssembly(assembly))}</div>`;
+                for (let g = 1; g <= gearModes.length; g++) {
+                    const selected = tool.params[`mode${g}`] || 1;
+                    const options = assembly.gearModes.map((mode, i) =>
+                        `<option value="${i + 1}" ${selected === i + 1 ? 'selected' : ''}>${escapeHtml(Core.getGearModeLabel(assembly, i + 1))}</option>`
+                    ).join('');
+                    assemblyHtml += `
+                        <div class="param-row">
+                            <label>${escapeHtml(modeLabel(g))}:</label>
+                            <select class="param-input" data-param="mode${g}" data-numeric="true">${options}</select>
+                        </div>
+                    `;
+                }
+                return assemblyHtml + '<button class="btn btn-outline ungroup-tool">Ungroup</button>';
+            }
             case 'differential':
-            case 'source':
             default:
                 return '<div class="param-row" style="color: var(--text-muted); font-size: 0.85rem;">No parameters</div>';
         }
     }
 
+    /**
+     * Render a parameter dropdown
+     * @param {string} param - Parameter name
+     * @param {Array} values - Allowed values
+     * @param {*} selected - Current value
+     * @param {boolean} numeric - Whether values are parsed as integers
+     * @returns {string} HTML string
+     */
+    function renderOptionsSelect(param, values, selected, numeric = false) {
+        const options = values.map(v =>
+            `<option value="${v}" ${v === selected ? 'selected' : ''}>${v}</option>`
+        ).join('');
+        return `<select class="param-input" data-param="${param}" ${numeric ? 'data-numeric="true"' : ''}>${options}</select>`;
+    }
+
+    /**
+     * Select a catalog part for one side of a coupling ("Any part" keeps the teeth editable)
+     * @param {string} param - 'partA' or 'partB'
+     * @param {string} selected - Selected part number, if any
+     */
+    function renderPartSelect(param, selected) {
+        const options = PARTS.map(part =>
+            `<option value="${part.id}" ${part.id === selected ? 'selected' : ''}>${part.id} ${part.name}</option>`
+        ).join('');
+        return `
+            <select class="param-input" data-param="${param}">
+                <option value="">Any part</option>
+                ${options}
+            </select>
+        `;
+    }
+
+    /**
+     * Show the axle spacing of a coupling that references catalog parts
+     * @param {Tool} tool - Coupling tool
+     */
+    function renderCouplingMounting(tool) {
+        const mesh = getCouplingMesh(tool);
+        if (!mesh || mesh.error) return '';
+        const positions = mesh.positions.map(pos => `${pos.x.toFixed(1)}×${pos.y.toFixed(1)}`).join(', ');
+        return `
+            <div class="param-row">
+                <label>Center distance:</label>
+                <span>${mesh.dist} studs</span>
+            </div>
+            <div class="param-row">
+                <label>Mounting:</label>
+                <span>${positions || 'no exact stud-grid position'}</span>
+            </div>
+        `;
+    }
+
     function renderToolConnections(tool) {
         let html = '';
         for (const conn of tool.connections) {
             const axleOptions = getAxleOptions(conn.axleId);
             html += `
                 <div class="connection-row">
-                    <span class="conn-name">${conn.name}:</span>
-                    <select class="conn-select" data-conn="${conn.name}">
+                    <span class="conn-name">${escapeHtml(conn.name)}:</span>
+                    <select class="conn-select" data-conn="${escapeHtml(conn.name)}">
                         ${axleOptions}
                     </select>
                 </div>
@@ -323,7 +867,7 @@
     function getAxleOptions(selectedId) {
         let html = '<option value="">-- None --</option>';
         for (const axle of axles) {
-            html += `<option value="${axle.id}" ${axle.id === selectedId ? 'selected' : ''}>${axle.name}</option>`;
+            html += `<option value="${axle.id}" ${axle.id === selectedId ? 'selected' : ''}>${escapeHtml(axle.name)}</option>`;
         }
         html += '<option value="new">+ New Axle</option>';
         return html;
@@ -331,7 +875,7 @@
 
     function renderToolStatus(tool) {
         let html = '';
-        for (let g = 1; g <= numGearModes; g++) {
+        for (let g = 1; g <= gearModes.length; g++) {
             const status = tool.status[g];
             let statusText = '';
             let statusClass = 'status-ok';
@@ -341,7 +885,7 @@
                     statusText = status.error;
                     statusClass = 'status-error';
                 } else if (status.flagged) {
-                    statusText = 'No input';
+                    statusText = status.message || 'No input';
                     statusClass = 'status-flagged';
                 } else {
                     statusText = '✓ OK';
@@ -352,8 +896,8 @@
 
             html += `
                 <div class="status-item">
-                    <span class="mode-label">Mode ${g}:</span>
-                    <span class="${statusClass}">${statusText}</span>
+                    <span class="mode-label">${escapeHtml(modeLabel(g))}:</span>
+                    <span class="${statusClass}">${escapeHtml(statusText)}</span>
                 </div>
             `;
         }
@@ -371,8 +915,14 @@
             input.addEventListener('change', (e) => {
                 const paramName = e.target.dataset.param;
                 let value = e.target.value;
-                if (e.target.type === 'checkbox') {
+                if (e.target.dataset.numeric) {
+                    value = parseInt(value);
+                } else if (e.target.type === 'checkbox') {
                     value = e.target.checked;
+                } else if (e.target.type === 'number' && e.target.step === 'any') {
+                    value = parseFloat(value);
+                    // Show the default instead of an efficiency updateParam() rejects
+                    if (paramName === 'efficiency' && !isValidEfficiency(value)) e.target.value = '';
                 } else if (e.target.type === 'number') {
                     value = parseInt(value);
                     
@@ -430,16 +980,9 @@
                 const connName = e.target.dataset.conn;
                 let axleId = e.target.value;
 
-                if (axleId === 'new') {
-                    // Create new axle
-                    const newAxle = new Axle(nextAxleId, `Axle ${nextAxleId}`);
-                    axles.push(newAxle);
-                    axleId = nextAxleId;
-                    nextAxleId++;
-                    updateAxleSelector();
-                } else if (axleId === '') {
+                if (axleId === '') {
                     axleId = null;
-                } else {
+                } else if (axleId !== 'new') {
                     axleId = parseInt(axleId);
                 }
 
@@ -474,7 +1017,7 @@
         // Ensure all selector tools have params for all gear modes
         for (const tool of tools) {
             if (tool.type === 'selector') {
-                for (let g = 1; g <= numGearModes; g++) {
+                for (let g = 1; g <= gearModes.length; g++) {
                     if (!tool.params[`mode${g}`]) {
                         tool.params[`mode${g}`] = 'Locked';
                     }
@@ -483,75 +1026,947 @@
         }
     }
 
-    // ==================== Tool Management ====================
+    // ==================== Graph View ====================
+
+    const GRAPH_NODE_WIDTH = 140;
+    const GRAPH_NODE_HEIGHT = 40;
+    const GRAPH_AXLE_RADIUS = 16;
+    const GRAPH_COLUMN_WIDTH = 190;
+    const GRAPH_ROW_HEIGHT = 90;
+    const GRAPH_MARGIN = 40;
+
+    function renderGraph() {
+        const graphDiv = document.createElement('div');
+        graphDiv.className = 'gearbox-graph';
+        graphDiv.innerHTML = `
+            <div class="graph-toolbar">
+                <label for="graph-status-mode">Status:</label>
+                <select id="graph-status-mode"></select>
+                <button class="btn btn-outline" id="graph-auto-layout">Auto Layout</button>
+                <span class="graph-hint">Drag nodes to move them. Drag from a connection port onto an axle, another port or empty space to connect.</span>
+            </div>
+            <svg id="gearbox-graph" class="graph-svg" xmlns="http://www.w3.org/2000/svg"></svg>
+        `;
+        container.appendChild(graphDiv);
 
-    function addTool(type) {
-        const tool = new Tool(type, `tool_${nextToolId}`);
-        nextToolId++;
+        document.getElementById('graph-status-mode').addEventListener('change', (e) => {
+            graphStatusMode = e.target.value === 'all' ? 'all' : parseInt(e.target.value);
+            updateGraph();
+        });
+        document.getElementById('graph-auto-layout').addEventListener('click', () => {
+            editDesign('Auto layout', () => {
+                autoLayout(true);
+                updateGraph();
+                saveToStorage();
+            });
+        });
 
-        // Set up connections and default params based on type
-        switch (type) {
-            case 'coupling':
-                tool.connections.push(new Connection('Gear A', tool));
-                tool.connections.push(new Connection('Gear B', tool));
-                tool.params.teethA = 16;
-                tool.params.teethB = 16;
-                tool.params.invertDirection = true;
-                break;
-            case 'selector':
-                tool.connections.push(new Connection('Center', tool));
-                tool.connections.push(new Connection('A', tool));
-                tool.connections.push(new Connection('B', tool));
-                for (let g = 1; g <= numGearModes; g++) {
-                    tool.params[`mode${g}`] = 'Locked';
+        attachGraphListeners(document.getElementById('gearbox-graph'));
+        updateGraph();
+    }
+
+    /**
+     * Assign graph positions to nodes. Tools and axles are layered by their
+     * distance from the sources; disconnected nodes go below the layered ones.
+     * @param {boolean} all - Re-layout every node instead of only unplaced ones
+     */
+    function autoLayout(all) {
+        const depth = new Map();  // node key ('t:<id>' or 'a:<id>') -> layer
+        const queue = [];
+        for (const sourceTool of tools.filter(t => t.type === 'source')) {
+            depth.set(`t:${sourceTool.id}`, 0);
+            queue.push(sourceTool);
+        }
+        while (queue.length > 0) {
+            const node = queue.shift();
+            if (node instanceof Tool) {
+                const d = depth.get(`t:${node.id}`);
+                for (const conn of node.connections) {
+                    if (conn.axleId === null || depth.has(`a:${conn.axleId}`)) continue;
+                    depth.set(`a:${conn.axleId}`, d + 1);
+                    queue.push(axles.find(a => a.id === conn.axleId));
                 }
-                break;
-            case 'differential':
-                tool.connections.push(new Connection('Body', tool));
-                tool.connections.push(new Connection('A', tool));
-                tool.connections.push(new Connection('B', tool));
-                break;
+            } else if (node) {
+                const d = depth.get(`a:${node.id}`);
+                for (const tool of tools) {
+                    if (depth.has(`t:${tool.id}`)) continue;
+                    if (tool.connections.some(c => c.axleId === node.id)) {
+                        depth.set(`t:${tool.id}`, d + 1);
+                        queue.push(tool);
+                    }
+                }
+            }
         }
 
-        tools.push(tool);
-        updateDiagram();
-        compute();
+        const rowsPerLayer = [];
+        const nodes = [
+            ...tools.map(t => ({ key: `t:${t.id}`, item: t, isAxle: false })),
+            ...axles.map(a => ({ key: `a:${a.id}`, item: a, isAxle: true }))
+        ];
+
+        if (!all) {
+            // Keep existing positions, stack new nodes under them
+            for (const node of nodes) {
+                if (!node.item.position) continue;
+                const layer = Math.round((node.item.position.x - GRAPH_MARGIN) / GRAPH_COLUMN_WIDTH);
+                const row = Math.round((node.item.position.y - GRAPH_MARGIN) / GRAPH_ROW_HEIGHT) + 1;
+                rowsPerLayer[layer] = Math.max(rowsPerLayer[layer] || 0, row);
+            }
+        }
+
+        const maxLayer = Math.max(0, ...depth.values());
+        for (const node of nodes) {
+            if (!all && node.item.position) continue;
+            const layer = depth.has(node.key) ? depth.get(node.key) : maxLayer + 1;
+            const row = rowsPerLayer[layer] || 0;
+            rowsPerLayer[layer] = row + 1;
+            const x = GRAPH_MARGIN + layer * GRAPH_COLUMN_WIDTH;
+            const y = GRAPH_MARGIN + row * GRAPH_ROW_HEIGHT;
+            // Axles are drawn centered on their position, tools from their top-left corner
+            node.item.position = node.isAxle
+                ? { x: x + GRAPH_NODE_WIDTH / 2, y: y + GRAPH_NODE_HEIGHT / 2 }
+                : { x: x, y: y };
+        }
     }
 
-    function removeTool(toolId) {
-        if (toolId === 'source') return;  // Cannot remove source
+    /**
+     * Get the position of a connection port on a tool node
+     * @param {Tool} tool - Tool owning the port
+     * @param {number} index - Connection index
+     * @returns {Object} {x, y} in graph coordinates
+     */
+    function getPortPosition(tool, index) {
+        const step = GRAPH_NODE_WIDTH / (tool.connections.length + 1);
+        return {
+            x: tool.position.x + step * (index + 1),
+            y: tool.position.y + GRAPH_NODE_HEIGHT
+        };
+    }
 
-        const index = tools.findIndex(t => t.id === toolId);
-        if (index > -1) {
-            tools.splice(index, 1);
-            cleanupUnusedAxles();
-            updateDiagram();
-            updateAxleSelector();
-            compute();
-        }
+    /**
+     * Get the status class of a tool for the graph, either in one gear mode or over all of them
+     * @param {Tool} tool - The tool
+     * @returns {string} CSS class name
+     */
+    function getGraphStatusClass(tool) {
+        const statuses = graphStatusMode === 'all'
+            ? Object.values(tool.status)
+            : [tool.status[graphStatusMode]].filter(s => s);
+        if (statuses.length === 0) return 'status-none';
+        if (statuses.some(s => s.error)) return 'status-error';
+        if (statuses.some(s => s.flagged)) return 'status-flagged';
+        return 'status-ok';
     }
 
-    function updateConnection(toolId, connName, axleId) {
-        const tool = tools.find(t => t.id === toolId);
-        if (!tool) return;
+    function updateGraph() {
+        const svg = document.getElementById('gearbox-graph');
+        if (!svg) return;
 
-        const conn = tool.connections.find(c => c.name === connName);
-        if (!conn) return;
+        // Rebuild gear mode options (the number of gear modes may have changed)
+        const modeSelect = document.getElementById('graph-status-mode');
+        if (graphStatusMode !== 'all' && graphStatusMode > gearModes.length) {
+            graphStatusMode = 'all';
+        }
+        let options = `<option value="all" ${graphStatusMode === 'all' ? 'selected' : ''}>All modes</option>`;
+        for (let g = 1; g <= gearModes.length; g++) {
+            options += `<option value="${g}" ${graphStatusMode === g ? 'selected' : ''}>${escapeHtml(modeLabel(g))}</option>`;
+        }
+        modeSelect.innerHTML = options;
 
-        conn.axleId = axleId;
-        cleanupUnusedAxles();
-        updateDiagram();
-        updateAxleSelector();
-        compute();
-    }
+        autoLayout(false);
 
-    function updateParam(toolId, paramName, value) {
-        const tool = tools.find(t => t.id === toolId);
-        if (!tool) return;
+        let edges = '';
+        let axleNodes = '';
+        let toolNodes = '';
 
-        tool.params[paramName] = value;
+        for (const tool of tools) {
+            const { x, y } = tool.position;
+            const selected = tool.id === selectedToolId ? ' selected' : '';
+            let ports = '';
+            tool.connections.forEach((conn, i) => {
+                const port = getPortPosition(tool, i);
+                const axle = axles.find(a => a.id === conn.axleId);
+                if (axle) {
+                    edges += `<line class="graph-edge" x1="${port.x}" y1="${port.y}" x2="${axle.position.x}" y2="${axle.position.y}"></line>`;
+                }
+                ports += `
+                    <text class="graph-port-label" x="${port.x}" y="${port.y - 6}">${escapeHtml(conn.name)}</text>
+                    <circle class="graph-port${axle ? ' connected' : ''}" cx="${port.x}" cy="${port.y}" r="5"
+                            data-tool-id="${tool.id}" data-conn="${escapeHtml(conn.name)}"></circle>
+                `;
+            });
+            toolNodes += `
+                <g class="graph-node ${tool.type} ${getGraphStatusClass(tool)}${selected}" data-tool-id="${tool.id}">
+                    <rect x="${x}" y="${y}" width="${GRAPH_NODE_WIDTH}" height="${GRAPH_NODE_HEIGHT}" rx="6"></rect>
+                    <text class="graph-node-label" x="${x + GRAPH_NODE_WIDTH / 2}" y="${y + 14}">${escapeHtml(getToolLabel(tool.id))}</text>
+                    ${ports}
+                </g>
+            `;
+        }
+
+        const orientations = Core.getAxleOrientations(getDesign()).axles;
+        for (const axle of axles) {
+            const { x, y } = axle.position;
+            const selected = axle.id === selectedAxleId ? ' selected' : '';
+            const output = axle.isOutput ? ' output' : '';
+            const orientation = orientations.has(axle.id) ? ` (${orientations.get(axle.id)})` : '';
+            axleNodes += `
+                <g class="graph-axle${selected}${output}" data-axle-id="${axle.id}">
+                    <title>${escapeHtml(axle.notes)}</title>
+                    <circle cx="${x}" cy="${y}" r="${GRAPH_AXLE_RADIUS}"></circle>
+                    <text x="${x}" y="${y + GRAPH_AXLE_RADIUS + 14}">${escapeHtml(axle.name)}${orientation}</text>
+                </g>
+            `;
+        }
+
+        // Fit the view box around all nodes
+        const xs = [];
+        const ys = [];
+        for (const tool of tools) {
+            xs.push(tool.position.x, tool.position.x + GRAPH_NODE_WIDTH);
+            ys.push(tool.position.y, tool.position.y + GRAPH_NODE_HEIGHT);
+        }
+        for (const axle of axles) {
+            xs.push(axle.position.x - GRAPH_AXLE_RADIUS, axle.position.x + GRAPH_AXLE_RADIUS);
+            ys.push(axle.position.y - GRAPH_AXLE_RADIUS, axle.position.y + GRAPH_AXLE_RADIUS + 20);
+        }
+        const minX = Math.min(...xs) - GRAPH_MARGIN;
+        const minY = Math.min(...ys) - GRAPH_MARGIN;
+        const width = Math.max(...xs) - minX + GRAPH_MARGIN;
+        const height = Math.max(...ys) - minY + GRAPH_MARGIN;
+        svg.setAttribute('viewBox', `${minX} ${minY} ${width} ${height}`);
+        svg.style.height = `${Math.max(200, height)}px`;
+
+        svg.innerHTML = `
+            <g class="graph-edges">${edges}</g>
+            <g class="graph-axles">${axleNodes}</g>
+            <g class="graph-tools">${toolNodes}</g>
+            <line class="graph-drag-line hidden" x1="0" y1="0" x2="0" y2="0"></line>
+        `;
+    }
+
+    /**
+     * Convert a pointer event position to graph coordinates
+     * @param {SVGSVGElement} svg - The graph element
+     * @param {PointerEvent} e - The pointer event
+     * @returns {Object} {x, y} in graph coordinates
+     */
+    function getGraphPoint(svg, e) {
+        const matrix = svg.getScreenCTM();
+        if (!matrix) return { x: e.clientX, y: e.clientY };
+        const point = svg.createSVGPoint();
+        point.x = e.clientX;
+        point.y = e.clientY;
+        const transformed = point.matrixTransform(matrix.inverse());
+        return { x: transformed.x, y: transformed.y };
+    }
+
+    /**
+     * Find what lies under a graph point: an axle or a connection port
+     * @param {Object} point - {x, y} in graph coordinates
+     * @returns {Object|null} { axle } or { tool, conn } or null for empty space
+     */
+    function hitTestGraph(point) {
+        for (const axle of axles) {
+            if (Math.hypot(axle.position.x - point.x, axle.position.y - point.y) <= GRAPH_AXLE_RADIUS + 4) {
+                return { axle: axle };
+            }
+        }
+        for (const tool of tools) {
+            for (let i = 0; i < tool.connections.length; i++) {
+                const port = getPortPosition(tool, i);
+                if (Math.hypot(port.x - point.x, port.y - point.y) <= 9) {
+                    return { tool: tool, conn: tool.connections[i] };
+                }
+            }
+        }
+        return null;
+    }
+
+    function attachGraphListeners(svg) {
+        // Current drag: { kind: 'move'|'connect', item, start, offset, moved, tool, conn }
+        let drag = null;
+
+        svg.addEventListener('pointerdown', (e) => {
+            const point = getGraphPoint(svg, e);
+            const portEl = e.target.closest('.graph-port');
+            const toolEl = e.target.closest('.graph-node');
+            const axleEl = e.target.closest('.graph-axle');
+
+            if (portEl) {
+                const tool = tools.find(t => t.id === portEl.dataset.toolId);
+                const conn = tool && tool.connections.find(c => c.name === portEl.dataset.conn);
+                if (!conn) return;
+                drag = { kind: 'connect', tool: tool, conn: conn, start: getPortPosition(tool, tool.connections.indexOf(conn)) };
+            } else if (toolEl || axleEl) {
+                const item = toolEl
+                    ? tools.find(t => t.id === toolEl.dataset.toolId)
+                    : axles.find(a => a.id === parseInt(axleEl.dataset.axleId));
+                if (!item) return;
+                drag = {
+                    kind: 'move',
+                    item: item,
+                    element: toolEl || axleEl,
+                    start: point,
+                    origin: Object.assign({}, item.position),
+                    moved: false,
+                    before: snapshotDesign()
+                };
+            } else {
+                return;
+            }
+
+            e.preventDefault();
+            if (svg.setPointerCapture) svg.setPointerCapture(e.pointerId);
+        });
+
+        svg.addEventListener('pointermove', (e) => {
+            if (!drag) return;
+            const point = getGraphPoint(svg, e);
+
+            if (drag.kind === 'connect') {
+                const line = svg.querySelector('.graph-drag-line');
+                line.classList.remove('hidden');
+                line.setAttribute('x1', drag.start.x);
+                line.setAttribute('y1', drag.start.y);
+                line.setAttribute('x2', point.x);
+                line.setAttribute('y2', point.y);
+                return;
+            }
+
+            const dx = point.x - drag.start.x;
+            const dy = point.y - drag.start.y;
+            if (!drag.moved && Math.hypot(dx, dy) < 3) return;
+            drag.moved = true;
+            drag.item.position = { x: drag.origin.x + dx, y: drag.origin.y + dy };
+            // Move the node visually; the full re-render happens on drop
+            drag.element.setAttribute('transform', `translate(${dx} ${dy})`);
+        });
+
+        svg.addEventListener('pointerup', (e) => {
+            if (!drag) return;
+            const current = drag;
+            drag = null;
+            const point = getGraphPoint(svg, e);
+
+            if (current.kind === 'connect') {
+                finishGraphConnection(current.tool, current.conn, point);
+                return;
+            }
+
+            if (current.moved) {
+                updateGraph();
+                saveToStorage();
+                recordEdit(`Move ${current.item instanceof Tool ? getToolLabel(current.item.id) : current.item.name}`, current.before);
+            } else if (current.item instanceof Tool) {
+                selectTool(current.item.id);
+            } else {
+                selectAxle(current.item.id);
+            }
+        });
+
+        svg.addEventListener('pointercancel', () => {
+            drag = null;
+            updateGraph();
+        });
+    }
+
+    /**
+     * Connect a dragged port to whatever it was dropped on
+     * @param {Tool} tool - Tool owning the dragged port
+     * @param {Connection} conn - The dragged connection
+     * @param {Object} point - Drop position in graph coordinates
+     */
+    function finishGraphConnection(tool, conn, point) {
+        const target = hitTestGraph(point);
+        editDesign(`Connect ${getToolLabel(tool.id)} ${conn.name}`, () => connectGraphTarget(tool, conn, target, point));
+    }
+
+    function connectGraphTarget(tool, conn, target, point) {
+        if (target && target.axle) {
+            updateConnection(tool.id, conn.name, target.axle.id);
+        } else if (target && target.conn) {
+            if (target.conn === conn) {
+                updateGraph();
+                return;
+            }
+            // Port to port: share the target's axle, or a new one between them
+            let axleId = target.conn.axleId;
+            if (axleId === null) {
+                axleId = createAxle({ x: point.x, y: point.y + GRAPH_ROW_HEIGHT / 2 }).id;
+                target.conn.axleId = axleId;
+            }
+            updateConnection(tool.id, conn.name, axleId);
+        } else {
+            const axle = createAxle({ x: point.x, y: point.y });
+            updateConnection(tool.id, conn.name, axle.id);
+        }
+    }
+
+    function selectTool(toolId) {
+        selectedToolId = toolId;
+        updateGraph();
+
+        const diagram = document.getElementById('gearbox-diagram');
+        if (!diagram) return;
+        diagram.querySelectorAll('.tool-card').forEach(card => {
+            card.classList.toggle('selected', card.dataset.toolId === toolId);
+        });
+        const card = diagram.querySelector(`.tool-card[data-tool-id="${toolId}"]`);
+        if (card && card.scrollIntoView) {
+            card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+    }
+
+    function selectAxle(axleId) {
+        selectedAxleId = axleId;
+        updateAxleSelector();
+        updateGraph();
+        renderResultsChart();
+    }
+
+    // ==================== Tool Management ====================
+
+    function addTool(type) {
+        editDesign(`Add ${getToolTypeName(type)}`, () => {
+            const tool = Core.createTool(type, `tool_${nextToolId}`, gearModes.length);
+            nextToolId++;
+
+            tools.push(tool);
+            updateDiagram();
+            compute();
+        });
+    }
+
+    /**
+     * Create a new, not yet connected axle
+     * @param {Object} [position] - Graph position {x, y} (auto layout if omitted)
+     * @returns {Axle} The new axle
+     */
+    function createAxle(position) {
+        const axle = new Axle(nextAxleId, `Axle ${nextAxleId}`);
+        axle.position = position || null;
+        axles.push(axle);
+        nextAxleId++;
+        updateAxleSelector();
+        return axle;
+    }
+
+    function removeTool(toolId) {
+        const index = tools.findIndex(t => t.id === toolId);
+        if (index > -1) {
+            editDesign(`Remove ${getToolLabel(toolId)}`, () => {
+                tools.splice(index, 1);
+                for (const control of shiftControls) {
+                    control.selectorIds = control.selectorIds.filter(id => id !== toolId);
+                }
+                if (selectedToolId === toolId) selectedToolId = null;
+                cleanupUnusedAxles();
+                updateDiagram();
+                updateAxleSelector();
+                compute();
+            });
+        }
+    }
+
+    /**
+     * Connect a tool connection to an axle
+     * @param {string} toolId - Tool id
+     * @param {string} connName - Connection name
+     * @param {number|string|null} axleId - Axle id, 'new' for a new axle, or null to disconnect
+     */
+    function updateConnection(toolId, connName, axleId) {
+        const tool = tools.find(t => t.id === toolId);
+        if (!tool) return;
+
+        const conn = tool.connections.find(c => c.name === connName);
+        if (!conn) return;
+
+        editDesign(`Connect ${getToolLabel(toolId)} ${connName}`, () => {
+            // The new axle is part of the same edit, so undo removes it again
+            conn.axleId = axleId === 'new' ? createAxle().id : axleId;
+            cleanupUnusedAxles();
+            updateDiagram();
+            updateAxleSelector();
+            compute();
+        });
+    }
+
+    function updateParam(toolId, paramName, value) {
+        const tool = tools.find(t => t.id === toolId);
+        if (!tool) return;
+
+        editDesign(`Change ${getToolLabel(toolId)} ${paramName}`, () => {
+            if (typeof value === 'number' && isNaN(value)) {
+                // Empty number input: fall back to the default
+                delete tool.params[paramName];
+            } else if (paramName === 'efficiency' && !isValidEfficiency(value)) {
+                // Same rule as loading a design: out of range falls back to the default
+                delete tool.params[paramName];
+            } else if (tool.type === 'coupling' && (paramName === 'partA' || paramName === 'partB')) {
+                // A catalog part fixes the teeth count of its side
+                const part = PARTS.find(p => p.id === value);
+                if (part) {
+                    tool.params[paramName] = part.id;
+                    tool.params[paramName === 'partA' ? 'teethA' : 'teethB'] = part.teeth;
+                } else {
+                    delete tool.params[paramName];
+                }
+            } else {
+                tool.params[paramName] = value;
+            }
+            compute();
+            updateDiagram();  // Update status display
+        });
+    }
+
+    // ==================== Gear Modes ====================
+
+    /**
+     * Render the gear mode editor: number, name and reorder/remove buttons per gear mode
+     */
+    function updateGearModeList() {
+        const list = document.getElementById('gear-mode-list');
+        if (!list) return;
+
+        const count = gearModes.length;
+        list.innerHTML = gearModes.map((mode, i) => {
+            const g = i + 1;
+            return `
+                <div class="gear-mode-row" data-mode="${g}">
+                    <span class="gear-mode-number">${g}</span>
+                    <input type="text" class="gear-mode-name" value="${escapeHtml(mode.name)}" placeholder="Mode ${g}">
+                    <button class="btn btn-outline" data-action="up" title="Move up" ${g === 1 ? 'disabled' : ''}>↑</button>
+                    <button class="btn btn-outline" data-action="down" title="Move down" ${g === count ? 'disabled' : ''}>↓</button>
+                    <button class="remove-tool" data-action="remove" title="Remove gear mode" ${count === 1 ? 'disabled' : ''}>×</button>
+                </div>
+            `;
+        }).join('');
+
+        const addButton = document.getElementById('add-gear-mode');
+        if (addButton) addButton.disabled = count >= MAX_GEAR_MODES;
+    }
+
+    function attachGearModeListeners(list) {
+        list.addEventListener('change', (e) => {
+            const row = e.target.closest('.gear-mode-row');
+            if (!row || !e.target.classList.contains('gear-mode-name')) return;
+            renameGearMode(parseInt(row.dataset.mode), e.target.value);
+        });
+        list.addEventListener('click', (e) => {
+            const row = e.target.closest('.gear-mode-row');
+            const action = e.target.dataset.action;
+            if (!row || !action) return;
+            const g = parseInt(row.dataset.mode);
+            if (action === 'up') moveGearMode(g, g - 1);
+            else if (action === 'down') moveGearMode(g, g + 1);
+            else if (action === 'remove') removeGearMode(g);
+        });
+    }
+
+    /**
+     * Gear modes changed number or names: refresh everything that lists them
+     */
+    function gearModesChanged() {
+        const modesInput = document.getElementById('num-gear-modes');
+        if (modesInput) modesInput.value = gearModes.length;
+        updateDiagram();
         compute();
-        updateDiagram();  // Update status display
+    }
+
+    function addGearMode() {
+        if (gearModes.length >= MAX_GEAR_MODES) return;
+        editDesign('Add gear mode', () => {
+            gearModes.push(new GearMode());
+            updateSelectorParams();
+            gearModesChanged();
+        });
+    }
+
+    /**
+     * @param {number} gearModeNum - Gear mode number
+     * @param {string} name - New name (empty for "Mode <number>")
+     */
+    function renameGearMode(gearModeNum, name) {
+        const mode = gearModes[gearModeNum - 1];
+        if (!mode) return;
+        editDesign(`Rename ${modeLabel(gearModeNum)}`, () => {
+            mode.name = name.trim();
+            gearModesChanged();
+        });
+    }
+
+    /**
+     * Move a gear mode with its selections and source values; the graph status and
+     * rotation preview keep showing the same gear mode
+     * @param {number} from - Gear mode number to move
+     * @param {number} to - Gear mode number it gets
+     */
+    function moveGearMode(from, to) {
+        if (to < 1 || to > gearModes.length) return;
+        editDesign(`Move ${modeLabel(from)}`, () => {
+            const follow = g => g === from ? to : (g === to ? from : g);
+            Core.moveGearMode(getDesign(), from, to);
+            if (graphStatusMode !== 'all') graphStatusMode = follow(graphStatusMode);
+            animationMode = follow(animationMode);
+            gearModesChanged();
+        });
+    }
+
+    /**
+     * Remove a gear mode with its selections and source values; later gear modes move up
+     * @param {number} gearModeNum - Gear mode number
+     */
+    function removeGearMode(gearModeNum) {
+        if (gearModes.length <= 1) return;
+        editDesign(`Remove ${modeLabel(gearModeNum)}`, () => {
+            Core.removeGearMode(getDesign(), gearModeNum);
+            if (graphStatusMode === gearModeNum) graphStatusMode = 'all';
+            else if (graphStatusMode > gearModeNum) graphStatusMode--;
+            if (animationMode > gearModeNum) animationMode--;
+            gearModesChanged();
+        });
+    }
+
+    // ==================== Sub-assemblies ====================
+
+    /**
+     * Summarize the contents of a sub-assembly
+     * @param {SubAssembly} assembly - The sub-assembly
+     * @returns {string} e.g. "2 × Coupling, 1 × Selector"
+     */
+    function describeAssembly(assembly) {
+        const counts = new Map();
+        for (const tool of assembly.tools) {
+            const name = getToolTypeName(tool.type);
+            counts.set(name, (counts.get(name) || 0) + 1);
+        }
+        return [...counts].map(([name, count]) => `${count} × ${name}`).join(', ') || 'Empty';
+    }
+
+    /**
+     * Render the grouping form (tools to pick and a name) and one card per sub-assembly
+     * with its ports, gear modes and instances
+     */
+    function updateAssemblyList() {
+        const group = document.getElementById('assembly-group');
+        const list = document.getElementById('assembly-list');
+        if (!group || !list) return;
+
+        const groupable = tools.filter(t => t.type !== 'source' && t.type !== 'assembly');
+        group.innerHTML = groupable.length === 0
+            ? '<span class="axle-unused">No tools to group</span>'
+            : `
+                <div class="assembly-picks">
+                    ${groupable.map(tool => `
+                        <label>
+                            <input type="checkbox" class="assembly-pick" data-tool-id="${tool.id}">
+                            ${escapeHtml(getToolLabel(tool.id))}
+                        </label>
+                    `).join('')}
+                </div>
+                <input type="text" class="assembly-new-name" placeholder="Sub-assembly ${nextSubAssemblyId}">
+                <button class="btn btn-outline" data-action="group">Group into Sub-assembly</button>
+                <span class="shift-note">Axles shared with other tools or marked as outputs become the ports</span>
+            `;
+
+        list.innerHTML = subAssemblies.map(assembly => {
+            const instances = tools.filter(t => t.type === 'assembly' && t.params.assemblyId === assembly.id);
+            const modeNames = assembly.gearModes.map((mode, i) => Core.getGearModeLabel(assembly, i + 1));
+            return `
+                <div class="assembly-card" data-assembly-id="${assembly.id}">
+                    <div class="assembly-card-header">
+                        <input type="text" class="assembly-name" value="${escapeHtml(assembly.name)}">
+                        <button class="remove-tool" data-action="remove" title="Remove sub-assembly"
+                                ${instances.length > 0 ? 'disabled' : ''}>×</button>
+                    </div>
+                    <div class="assembly-info"><strong>Contains:</strong> ${escapeHtml(describeAssembly(assembly))}</div>
+                    <div class="assembly-info"><strong>Ports:</strong> ${escapeHtml(assembly.ports.map(p => p.name).join(', '))}</div>
+                    <div class="assembly-info"><strong>Gear modes:</strong> ${escapeHtml(modeNames.join(', '))}</div>
+                    <div class="assembly-info"><strong>Instances:</strong> ${instances.length > 0
+                        ? escapeHtml(instances.map(t => getToolLabel(t.id)).join(', '))
+                        : 'none'}</div>
+                    <button class="btn btn-outline" data-action="add">Add Instance</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    function attachAssemblyListeners(panel) {
+        panel.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('assembly-name')) return;
+            const card = e.target.closest('.assembly-card');
+            renameAssembly(parseInt(card.dataset.assemblyId), e.target.value);
+        });
+        panel.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+            if (action === 'group') {
+                const toolIds = [...panel.querySelectorAll('.assembly-pick:checked')].map(input => input.dataset.toolId);
+                groupSelectedTools(toolIds, panel.querySelector('.assembly-new-name').value.trim());
+                return;
+            }
+            const card = e.target.closest('.assembly-card');
+            if (!card) return;
+            const assemblyId = parseInt(card.dataset.assemblyId);
+            if (action === 'add') addAssemblyInstance(assemblyId);
+            else if (action === 'remove') removeAssembly(assemblyId);
+        });
+    }
+
+    /**
+     * Move tools into a new sub-assembly, leaving an instance in their place
+     * @param {string[]} toolIds - Tools to group
+     * @param {string} name - Sub-assembly name (empty for "Sub-assembly <id>")
+     */
+    function groupSelectedTools(toolIds, name) {
+        editDesign('Group tools into sub-assembly', () => {
+            const design = getDesign();
+            try {
+                Core.groupTools(design, toolIds, name);
+            } catch (error) {
+                showMessages(`Could not group tools: ${error.message}`, [], true);
+                return;
+            }
+            nextToolId = design.nextToolId;
+            nextSubAssemblyId = design.nextSubAssemblyId;
+            if (toolIds.includes(selectedToolId)) selectedToolId = null;
+            showMessages('', []);
+            compute();
+            updateDiagram();
+            updateAxleSelector();
+        });
+    }
+
+    /**
+     * Replace a sub-assembly instance with copies of its tools so they can be edited
+     * @param {string} toolId - Sub-assembly instance
+     */
+    function ungroupInstance(toolId) {
+        editDesign(`Ungroup ${getToolLabel(toolId)}`, () => {
+            const design = getDesign();
+            Core.ungroupTool(design, toolId);
+            nextToolId = design.nextToolId;
+            nextAxleId = design.nextAxleId;
+            if (selectedToolId === toolId) selectedToolId = null;
+            compute();
+            updateDiagram();
+            updateAxleSelector();
+        });
+    }
+
+    /**
+     * Add an instance of a sub-assembly with its ports not yet connected
+     * @param {number} assemblyId - Sub-assembly id
+     */
+    function addAssemblyInstance(assemblyId) {
+        const assembly = subAssemblies.find(a => a.id === assemblyId);
+        if (!assembly) return;
+        editDesign(`Add ${assembly.name}`, () => {
+            tools.push(Core.createAssemblyTool(assembly, `tool_${nextToolId}`, gearModes.length));
+            nextToolId++;
+            compute();
+            updateDiagram();
+        });
+    }
+
+    function renameAssembly(assemblyId, name) {
+        const assembly = subAssemblies.find(a => a.id === assemblyId);
+        if (!assembly) return;
+        editDesign(`Rename ${assembly.name}`, () => {
+            assembly.name = name.trim() || `Sub-assembly ${assembly.id}`;
+            updateDiagram();
+            compute();
+        });
+    }
+
+    /**
+     * Remove a sub-assembly that has no instances left
+     * @param {number} assemblyId - Sub-assembly id
+     */
+    function removeAssembly(assemblyId) {
+        const assembly = subAssemblies.find(a => a.id === assemblyId);
+        if (!assembly || tools.some(t => t.type === 'assembly' && t.params.assemblyId === assemblyId)) return;
+        editDesign(`Remove ${assembly.name}`, () => {
+            subAssemblies = subAssemblies.filter(a => a !== assembly);
+            updateDiagram();
+        });
+    }
+
+    // ==================== Shift Controls ====================
+
+    function getShiftControlOf(toolId) {
+        return shiftControls.find(c => c.selectorIds.includes(toolId)) || null;
+    }
+
+    /**
+     * Render each shift control with its linked selectors, the shift pattern table and its problems
+     */
+    function updateShiftControlList() {
+        const list = document.getElementById('shift-control-list');
+        if (!list) return;
+
+        const selectors = tools.filter(t => t.type === 'selector');
+        list.innerHTML = shiftControls.map(control => {
+            const linked = control.selectorIds.map(id => tools.find(t => t.id === id)).filter(t => t);
+            const problems = Core.validateShiftControl(getDesign(), control);
+
+            const links = selectors.map(tool => {
+                const owner = getShiftControlOf(tool.id);
+                const otherOwner = owner && owner !== control;
+                return `
+                    <label${otherOwner ? ` title="Shifted by ${escapeHtml(owner.name)}"` : ''}>
+                        <input type="checkbox" class="shift-link" data-tool-id="${tool.id}"
+                               ${owner === control ? 'checked' : ''} ${otherOwner ? 'disabled' : ''}>
+                        ${getToolLabel(tool.id)}
+                    </label>
+                `;
+            }).join('');
+
+            let pattern = '';
+            if (linked.length > 0) {
+                pattern = '<table class="shift-pattern"><thead><tr><th>Gear mode</th>';
+                pattern += linked.map(t => `<th>${getToolLabel(t.id)}</th>`).join('');
+                pattern += '</tr></thead><tbody>';
+                for (let g = 1; g <= gearModes.length; g++) {
+                    const invalid = problems.some(p => p.mode === g);
+                    pattern += `<tr${invalid ? ' class="invalid"' : ''}><td>${escapeHtml(modeLabel(g))}</td>`;
+                    for (const tool of linked) {
+                        const sel = getSelection(tool, g);
+                        pattern += `
+                            <td>
+                                <select class="shift-select" data-tool-id="${tool.id}" data-mode="${g}">
+                                    ${['A', 'Locked', 'B'].map(v => `<option value="${v}" ${sel === v ? 'selected' : ''}>${v}</option>`).join('')}
+                                </select>
+                            </td>
+                        `;
+                    }
+                    pattern += '</tr>';
+                }
+                pattern += '</tbody></table>';
+            }
+
+            return `
+                <div class="shift-control${problems.length > 0 ? ' has-problems' : ''}" data-control-id="${control.id}">
+                    <div class="shift-control-header">
+                        <input type="text" class="shift-name" value="${escapeHtml(control.name)}">
+                        <button class="remove-tool remove-shift-control" title="Remove shift control">×</button>
+                    </div>
+                    <div class="shift-links">${links || '<span class="axle-unused">No selectors in the design</span>'}</div>
+                    ${pattern}
+                    ${problems.length > 0
+                        ? `<ul class="shift-problems">${problems.map(p => `<li>${escapeHtml(modeLabel(p.mode))}: ${escapeHtml(p.message)}</li>`).join('')}</ul>`
+                        : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    function attachShiftControlListeners(list) {
+        list.addEventListener('change', (e) => {
+            const controlEl = e.target.closest('.shift-control');
+            const control = controlEl && shiftControls.find(c => c.id === parseInt(controlEl.dataset.controlId));
+            if (!control) return;
+
+            if (e.target.classList.contains('shift-name')) {
+                editDesign(`Rename ${control.name}`, () => {
+                    control.name = e.target.value.trim() || `Shift Control ${control.id}`;
+                    updateDiagram();
+                    compute();
+                });
+            } else if (e.target.classList.contains('shift-link')) {
+                linkSelector(control, e.target.dataset.toolId, e.target.checked);
+            } else if (e.target.classList.contains('shift-select')) {
+                updateParam(e.target.dataset.toolId, `mode${e.target.dataset.mode}`, e.target.value);
+            }
+        });
+        list.addEventListener('click', (e) => {
+            if (!e.target.classList.contains('remove-shift-control')) return;
+            const controlEl = e.target.closest('.shift-control');
+            removeShiftControl(parseInt(controlEl.dataset.controlId));
+        });
+    }
+
+    function addShiftControl() {
+        editDesign('Add shift control', () => {
+            shiftControls.push(new ShiftControl(nextShiftControlId, `Shift Control ${nextShiftControlId}`));
+            nextShiftControlId++;
+            updateDiagram();
+            compute();
+        });
+    }
+
+    /**
+     * Remove a shift control; its selectors keep their current pattern and become independent again
+     * @param {number} controlId - Shift control id
+     */
+    function removeShiftControl(controlId) {
+        const control = shiftControls.find(c => c.id === controlId);
+        if (!control) return;
+        editDesign(`Remove ${control.name}`, () => {
+            shiftControls = shiftControls.filter(c => c !== control);
+            updateDiagram();
+            compute();
+        });
+    }
+
+    /**
+     * Link a selector to (or unlink it from) a shift control
+     * @param {ShiftControl} control - The shift control
+     * @param {string} toolId - Selector tool id
+     * @param {boolean} linked - Whether the selector is shifted by the control
+     */
+    function linkSelector(control, toolId, linked) {
+        editDesign(`${linked ? 'Link' : 'Unlink'} ${getToolLabel(toolId)}`, () => {
+            control.selectorIds = control.selectorIds.filter(id => id !== toolId);
+            if (linked) control.selectorIds.push(toolId);
+            updateDiagram();
+            compute();
+        });
+    }
+
+    /**
+     * Change a field of an axle from the axle editor
+     * @param {number} axleId - Axle id
+     * @param {string} field - 'name', 'notes', 'isOutput' or 'pinned'
+     * @param {string|boolean} value - New value
+     */
+    function updateAxle(axleId, field, value) {
+        const axle = axles.find(a => a.id === axleId);
+        if (!axle) return;
+
+        const labels = { name: 'Rename', notes: 'Edit notes of', isOutput: 'Toggle output', pinned: 'Toggle pin of' };
+        editDesign(`${labels[field]} ${axle.name}`, () => {
+            switch (field) {
+                case 'name':
+                    axle.name = value.trim() || `Axle ${axle.id}`;
+                    break;
+                case 'notes':
+                    axle.notes = value.trim();
+                    break;
+                case 'isOutput':
+                    axle.isOutput = !!value;
+                    break;
+                case 'pinned':
+                    axle.pinned = !!value;
+                    if (!axle.pinned) cleanupUnusedAxles();
+                    break;
+            }
+            updateDiagram();
+            updateAxleSelector();
+            compute();
+        });
+    }
+
+    /**
+     * Add an axle that is kept until it is unpinned, so it can be named before connecting it
+     */
+    function addPinnedAxle() {
+        editDesign('Add axle', () => {
+            const axle = createAxle();
+            axle.pinned = true;
+            updateDiagram();
+            compute();
+        });
     }
 
     function cleanupUnusedAxles() {
@@ -563,430 +1978,1152 @@
                     usedAxleIds.add(conn.axleId);
                 }
             }
-        }
+        }
+
+        // Keep only used or pinned axles (but always keep at least Axle 1 if source uses it)
+        axles = axles.filter(a => a.pinned || usedAxleIds.has(a.id));
+
+        // Ensure we have at least one axle
+        if (axles.length === 0) {
+            axles.push(new Axle(1, 'Axle 1'));
+        }
+    }
+
+    // ==================== Persistence ====================
+
+    /**
+     * Replace the current design with a parsed one
+     * @param {Object} design - Result of parseDesign()
+     */
+    function applyDesign(design) {
+        gearModes = design.gearModes;
+        tools = design.tools;
+        axles = design.axles;
+        nextToolId = design.nextToolId;
+        nextAxleId = design.nextAxleId;
+        shiftControls = design.shiftControls || [];
+        nextShiftControlId = design.nextShiftControlId || 1;
+        subAssemblies = design.subAssemblies || [];
+        nextSubAssemblyId = design.nextSubAssemblyId || 1;
+        torqueLimits = design.torqueLimits || Object.assign({}, DEFAULT_TORQUE_LIMITS);
+        if (axles.length === 0) {
+            axles.push(new Axle(1, 'Axle 1'));
+        }
+        if (!axles.find(a => a.id === selectedAxleId)) {
+            selectedAxleId = axles[0].id;
+        }
+        selectedToolId = null;
+    }
+
+    /**
+     * Save the current design to localStorage (autosave)
+     */
+    function saveToStorage() {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(Core.serializeDesign(getDesign())));
+        } catch (error) {
+            // Storage may be unavailable (private mode, quota); autosave is best effort
+            console.warn('Gearbox autosave failed:', error);
+        }
+    }
+
+    /**
+     * Restore the autosaved design from localStorage
+     * @returns {boolean} True if a design was restored
+     */
+    function loadFromStorage() {
+        let text = null;
+        try {
+            text = window.localStorage.getItem(STORAGE_KEY);
+        } catch (error) {
+            return false;
+        }
+        if (!text) return false;
+
+        try {
+            const design = parseDesign(JSON.parse(text));
+            applyDesign(design);
+            showMessages('Restored autosaved design', design.problems);
+            return true;
+        } catch (error) {
+            showMessages(`Could not restore autosaved design: ${error.message}`, [], true);
+            return false;
+        }
+    }
+
+    /**
+     * Download the current design as a JSON file
+     */
+    function exportDesign() {
+        const json = JSON.stringify(Core.serializeDesign(getDesign()), null, 2);
+        downloadFile(json, 'gearbox.json', 'application/json');
+    }
+
+    /**
+     * Load a design from a JSON file chosen by the user
+     * @param {File} file - The selected file
+     */
+    function importDesign(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let design;
+            try {
+                design = parseDesign(JSON.parse(reader.result));
+            } catch (error) {
+                showMessages(`Could not load ${file.name}: ${error.message}`, [], true);
+                return;
+            }
+            editDesign(`Import ${file.name}`, () => {
+                applyDesign(design);
+                showMessages(`Loaded ${file.name}`, design.problems);
+                refreshAll();
+            });
+        };
+        reader.onerror = () => showMessages(`Could not read ${file.name}`, [], true);
+        reader.readAsText(file);
+    }
+
+    /**
+     * Discard the current design and start an empty one
+     */
+    function newDesign() {
+        if (!confirm('Discard the current gearbox design?')) return;
+        editDesign('New design', () => {
+            resetData();
+            showMessages('', []);
+            refreshAll();
+        });
+    }
+
+    /**
+     * Rebuild all UI sections after the whole design was replaced
+     */
+    function refreshAll() {
+        const modesInput = document.getElementById('num-gear-modes');
+        if (modesInput) modesInput.value = gearModes.length;
+        const axleLimitInput = document.getElementById('axle-torque-limit');
+        if (axleLimitInput) axleLimitInput.value = torqueLimits.axle;
+        const gearLimitInput = document.getElementById('gear-torque-limit');
+        if (gearLimitInput) gearLimitInput.value = torqueLimits.gearPiece;
+        updateDiagram();
+        updateAxleSelector();
+        compute();
+        updateDiagram();  // Update status display
+    }
+
+    /**
+     * Show a load report above the diagram
+     * @param {string} title - Summary line (empty to clear)
+     * @param {string[]} problems - Problems found while loading
+     * @param {boolean} isError - Whether the summary is an error
+     */
+    function showMessages(title, problems, isError = false) {
+        messages = { title: title, problems: problems, isError: isError };
+        renderMessages();
+    }
+
+    function renderMessages() {
+        const messagesDiv = document.getElementById('gearbox-messages');
+        if (!messagesDiv) return;
+
+        if (!messages.title) {
+            messagesDiv.innerHTML = '';
+            messagesDiv.className = 'gearbox-messages hidden';
+            return;
+        }
+
+        messagesDiv.className = 'gearbox-messages';
+        if (messages.isError || messages.problems.length > 0) {
+            messagesDiv.classList.add('has-problems');
+        }
+        let html = `<div class="messages-title">${escapeHtml(messages.title)}</div>`;
+        if (messages.problems.length > 0) {
+            html += '<ul>' + messages.problems.map(p => `<li>${escapeHtml(p)}</li>`).join('') + '</ul>';
+        }
+        messagesDiv.innerHTML = html;
+    }
+
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[c]);
+    }
+
+    // ==================== History ====================
+
+    /**
+     * Capture the whole design (tools, axles, connections, params, positions, id counters)
+     * @returns {string} Snapshot that restoreDesign() brings back exactly
+     */
+    function snapshotDesign() {
+        return JSON.stringify(Core.serializeDesign(getDesign()));
+    }
+
+    function restoreDesign(snapshot) {
+        applyDesign(parseDesign(JSON.parse(snapshot)));
+        refreshAll();
+    }
+
+    /**
+     * Run a design edit as one undoable command. Edits started inside it
+     * (e.g. a connection made while loading a design) become part of it.
+     * @param {string} label - What the edit does, shown on the undo/redo buttons
+     * @param {Function} fn - Performs the edit
+     */
+    function editDesign(label, fn) {
+        if (editDepth > 0) {
+            fn();
+            return;
+        }
+        const before = snapshotDesign();
+        editDepth++;
+        try {
+            fn();
+        } finally {
+            editDepth--;
+        }
+        recordEdit(label, before);
+    }
+
+    /**
+     * Add a finished edit to the history (nothing is recorded if the design did not change)
+     * @param {string} label - What the edit did
+     * @param {string} before - Snapshot taken before the edit
+     */
+    function recordEdit(label, before) {
+        const after = snapshotDesign();
+        if (after === before) return;
+        undoStack.push({ label: label, before: before, after: after });
+        if (undoStack.length > HISTORY_LIMIT) {
+            undoStack.shift();
+        }
+        redoStack = [];
+        updateHistoryButtons();
+    }
+
+    function undo() {
+        const entry = undoStack.pop();
+        if (!entry) return;
+        redoStack.push(entry);
+        restoreDesign(entry.before);
+        updateHistoryButtons();
+    }
+
+    function redo() {
+        const entry = redoStack.pop();
+        if (!entry) return;
+        undoStack.push(entry);
+        restoreDesign(entry.after);
+        updateHistoryButtons();
+    }
+
+    function updateHistoryButtons() {
+        const undoButton = document.getElementById('undo-edit');
+        const redoButton = document.getElementById('redo-edit');
+        if (!undoButton || !redoButton) return;
+        const lastUndo = undoStack[undoStack.length - 1];
+        const lastRedo = redoStack[redoStack.length - 1];
+        undoButton.disabled = !lastUndo;
+        redoButton.disabled = !lastRedo;
+        undoButton.title = lastUndo ? `Undo: ${lastUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+        redoButton.title = lastRedo ? `Redo: ${lastRedo.label} (Ctrl+Y)` : 'Nothing to redo';
+    }
+
+    /**
+     * Ctrl+Z undoes, Ctrl+Y or Ctrl+Shift+Z redoes while the gearbox tab is shown.
+     * Text fields keep their own undo.
+     * @param {KeyboardEvent} e - Key event
+     */
+    function handleHistoryKeys(e) {
+        if (!(e.ctrlKey || e.metaKey) || !container || !container.classList.contains('active')) return;
+        const target = e.target;
+        if (target && (target.tagName === 'TEXTAREA' || (target.tagName === 'INPUT' && ['text', 'number'].includes(target.type)))) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+            e.preventDefault();
+            redo();
+        }
+    }
+
+    // ==================== Computation ====================
+
+    function compute() {
+        // Solve every gear mode (tool statuses are stored on the tools)
+        const design = getDesign();
+        const allResults = Core.computeDesign(design);
+        lastResults = allResults;
+        loopAnalysis = Core.analyzeLoops(design, allResults);
+
+        // Update results display
+        renderOutputSummary(allResults);
+        renderResultsChart(allResults);
+        renderModeSpacing(allResults);
+        renderAnimation(allResults);
+        renderDiagnostics(allResults);
+        renderLoopAnalysis();
+        renderEfficiency(allResults);
+        renderMatrix(allResults);
+        renderBillOfMaterials();
+        updateGraph();
+
+        // Every design change ends in compute(), so autosave here
+        saveToStorage();
+    }
+
+    /**
+     * Notes for a tool card: jamming loops the tool is part of and never-driven axles it touches
+     * @param {Tool} tool - The tool
+     * @returns {string[]} Notes
+     */
+    function getLoopNotes(tool) {
+        const notes = [];
+        for (const loop of loopAnalysis.loops) {
+            if (loop.jammedModes.length === 0 || !loop.tools.includes(tool.id)) continue;
+            notes.push(`In a jamming loop (${loop.jammedModes.map(j => modeLabel(j.mode)).join(', ')})`);
+        }
+        const toolAxles = new Set(tool.connections.map(c => c.axleId));
+        for (const axleId of toolAxles) {
+            if (loopAnalysis.deadAxles.includes(axleId)) {
+                notes.push(`${getAxleName(axleId)} never turns`);
+            }
+        }
+        return notes;
+    }
+
+    function renderLoopAnalysis() {
+        const loopsDiv = document.getElementById('results-loops');
+        if (!loopsDiv) return;
+
+        const { loops, deadAxles } = loopAnalysis;
+        if (loops.length === 0 && deadAxles.length === 0) {
+            loopsDiv.innerHTML = '';
+            return;
+        }
+
+        let html = '';
+        for (const loop of loops) {
+            const path = loop.axles.concat(loop.axles[0]).map(getAxleName).join(' → ');
+            const toolNames = loop.tools.map(getToolLabel).join(', ');
+            if (loop.jammedModes.length > 0) {
+                const modes = loop.jammedModes.map(j =>
+                    `${modeLabel(j.mode)} (${j.ratio ? `ratio around the loop ${formatExact(j.ratio)}` : 'both sides on one axle'})`
+                ).join(', ');
+                html += `<li class="status-error"><strong>Jamming loop</strong> ${escapeHtml(path)} via ${escapeHtml(toolNames)} — ${escapeHtml(modes)}</li>`;
+            } else {
+                html += `<li><strong>Consistent loop</strong> ${escapeHtml(path)} via ${escapeHtml(toolNames)} — ${escapeHtml(loop.consistentModes.map(modeLabel).join(', '))}</li>`;
+            }
+        }
+        if (deadAxles.length > 0) {
+            html += `<li class="status-flagged"><strong>Never driven</strong> in any gear mode — ${escapeHtml(deadAxles.map(getAxleName).join(', '))}</li>`;
+        }
+        loopsDiv.innerHTML = `<h4>Loops and Dead Axles</h4><ul>${html}</ul>`;
+    }
+
+    // ==================== Results Display ====================
+
+    function renderResultsChart(allResults) {
+        const chartDiv = document.getElementById('results-chart');
+        if (!chartDiv) return;
+
+        // Use stored results if not provided
+        if (!allResults) {
+            allResults = lastResults;
+        }
+
+        // Get values for selected axle across all gear modes
+        const axleData = [];
+        let maxSpeed = 0;
+        let maxTorque = 0;
+
+        const getAxleData = (modeResults, label) => {
+            const axleValue = modeResults.axles.get(selectedAxleId);
+            if (axleValue) {
+                maxSpeed = Math.max(maxSpeed, Math.abs(axleValue.speed));
+                maxTorque = Math.max(maxTorque, Math.abs(axleValue.torque || 0));
+                return {
+                    label: label,
+                    speed: axleValue.speed,
+                    torque: axleValue.torque,
+                    speedExact: axleValue.speedExact,
+                    torqueExact: axleValue.torqueExact,
+                    error: null
+                };
+            }
+            return {
+                label: label,
+                speed: null,
+                torque: null,
+                error: modeResults.free.includes(selectedAxleId) ? 'Free-spinning' : 'No data'
+            };
+        };
+
+        for (let g = 1; g <= gearModes.length; g++) {
+            const modeResults = allResults[g];
+            if (!modeResults) continue;
+
+            const data = getAxleData(modeResults, '');
+            data.mode = g;
+
+            // Contribution of each source on its own (only with several sources)
+            data.contributions = [];
+            for (const [sourceId, sourceResults] of modeResults.bySource || []) {
+                data.contributions.push(getAxleData(sourceResults, getToolLabel(sourceId)));
+            }
+            axleData.push(data);
+        }
+
+        // Ensure we have reasonable max values for scaling
+        maxSpeed = maxSpeed || 1;
+        maxTorque = maxTorque || 1;
+
+        // Render chart
+        if (axleData.every(d => d.error === 'No data')) {
+            chartDiv.innerHTML = '<div class="no-data-message">No data available for selected axle. Connect tools to this axle to see results.</div>';
+            return;
+        }
+
+        const units = usesPhysicalUnits() ? { speed: ' rpm', torque: ' N·cm' } : { speed: '', torque: '' };
+        const renderBars = (data) => {
+            const prefix = data.label ? `${escapeHtml(data.label)} ` : '';
+            if (data.error) {
+                return `
+                    <div class="chart-bar-wrapper">
+                        <span class="chart-bar-label">${prefix}Speed:</span>
+                        <div class="chart-bar-container">
+                            <div class="chart-bar error" style="width: 0%"></div>
+                        </div>
+                        <span class="chart-bar-value error">${data.error}</span>
+                    </div>
+                    <div class="chart-bar-wrapper">
+                        <span class="chart-bar-label">${prefix}Torque:</span>
+                        <div class="chart-bar-container">
+                            <div class="chart-bar error" style="width: 0%"></div>
+                        </div>
+                        <span class="chart-bar-value error">${data.error}</span>
+                    </div>
+                `;
+            }
 
-        // Keep only used axles (but always keep at least Axle 1 if source uses it)
-        axles = axles.filter(a => usedAxleIds.has(a.id));
+            const speedWidth = (Math.abs(data.speed) / maxSpeed) * 100;
+            const torqueWidth = (Math.abs(data.torque || 0) / maxTorque) * 100;
+            return `
+                <div class="chart-bar-wrapper">
+                    <span class="chart-bar-label">${prefix}Speed:</span>
+                    <div class="chart-bar-container">
+                        <div class="chart-bar speed" style="width: ${speedWidth}%"></div>
+                    </div>
+                    <span class="chart-bar-value">${formatExact(data.speedExact)}${units.speed}</span>
+                </div>
+                <div class="chart-bar-wrapper">
+                    <span class="chart-bar-label">${prefix}Torque:</span>
+                    <div class="chart-bar-container">
+                        <div class="chart-bar torque" style="width: ${torqueWidth}%"></div>
+                    </div>
+                    <span class="chart-bar-value">${formatExact(data.torqueExact)}${units.torque}</span>
+                </div>
+            `;
+        };
 
-        // Ensure we have at least one axle
-        if (axles.length === 0) {
-            axles.push(new Axle(1, 'Axle 1'));
+        const multiSource = axleData.some(d => d.contributions.length > 0);
+        let html = '';
+        for (const data of axleData) {
+            html += `
+                <div class="chart-row${multiSource ? ' multi-source' : ''}">
+                    <span class="mode-label">${escapeHtml(modeLabel(data.mode))}</span>
+                    <div class="chart-bars">
+                        ${renderBars(Object.assign({}, data, { label: multiSource ? 'Combined' : '' }))}
+            `;
+            for (const contribution of data.contributions) {
+                html += `<div class="chart-contribution">${renderBars(contribution)}</div>`;
+            }
+            html += `
+                    </div>
+                </div>
+            `;
         }
+
+        chartDiv.innerHTML = html;
     }
 
-    // ==================== Computation ====================
+    /**
+     * Show the spacing of the gear modes on the selected axle: output:input ratios sorted by
+     * magnitude as bars with the step factor between neighbours, the overall spread, and
+     * duplicate, reversed, neutral and undetermined gear modes
+     * @param {Object} allResults - Gear mode -> result of computeGearMode() (defaults to the last results)
+     */
+    function renderModeSpacing(allResults) {
+        const spacingDiv = document.getElementById('results-spacing');
+        if (!spacingDiv) return;
+        if (!allResults) {
+            allResults = lastResults;
+        }
 
-    function compute() {
-        // Clear all tool statuses
-        for (const tool of tools) {
-            tool.status = {};
+        const source = tools.find(t => t.type === 'source' && t.connections[0].axleId !== null);
+        if (!source) {
+            spacingDiv.innerHTML = '<h4>Mode Spacing</h4><div class="no-data-message">Connect a Source Axle to compare gear modes.</div>';
+            return;
         }
+        const inputAxleId = source.connections[0].axleId;
+        const spacing = Core.analyzeModeSpacing(getDesign(), allResults, inputAxleId, selectedAxleId);
 
-        const allResults = {};
+        let summary = `Output:input speed ratio of ${escapeHtml(getAxleName(selectedAxleId))} to ${escapeHtml(getAxleName(inputAxleId))}.`;
+        if (spacing.spread !== null) {
+            summary += ` Spread ×${formatNumber(spacing.spread, 2)} over ${spacing.ladder.length} gear modes;` +
+                ` even spacing would step ×${formatNumber(spacing.evenStep, 2)}.`;
+        }
 
-        // Compute for each gear mode (1st gear, 2nd gear, etc.)
-        for (let g = 1; g <= numGearModes; g++) {
-            allResults[g] = computeGearMode(g);
+        const maxRatio = Math.max(...spacing.ladder.concat(spacing.reversed).map(r => Math.abs(r.ratio.toNumber())), 0) || 1;
+        const renderBar = (entry, className, note) => `
+            <div class="chart-bar-wrapper">
+                <span class="chart-bar-label">${escapeHtml(modeLabel(entry.mode))}</span>
+                <div class="chart-bar-container">
+                    <div class="chart-bar ${className}" style="width: ${Math.abs(entry.ratio.toNumber()) / maxRatio * 100}%"></div>
+                </div>
+                <span class="chart-bar-value">${formatExact(entry.ratio)}</span>
+                <span class="spacing-step">${note}</span>
+            </div>
+        `;
+        let bars = spacing.ladder.map(entry =>
+            renderBar(entry, 'ratio', entry.step !== null ? `×${formatNumber(entry.step, 2)}` : '')).join('');
+        bars += spacing.reversed.map(entry => renderBar(entry, 'reverse', 'reversed')).join('');
+
+        let flags = '';
+        for (const duplicate of spacing.duplicates) {
+            const labels = duplicate.modes.map(g => escapeHtml(modeLabel(g)));
+            const modes = `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`;
+            flags += `<li class="status-flagged">${modes} have the same ratio ${formatExact(duplicate.ratio)}</li>`;
+        }
+        for (const entry of spacing.reversed) {
+            flags += `<li class="status-flagged">${escapeHtml(modeLabel(entry.mode))} turns the output the other way</li>`;
+        }
+        for (const g of spacing.neutral) {
+            flags += `<li class="status-flagged">${escapeHtml(modeLabel(g))} holds the output still</li>`;
+        }
+        for (const g of spacing.missing) {
+            flags += `<li class="status-error">${escapeHtml(modeLabel(g))} has no ratio (jammed, free-spinning or input held still)</li>`;
         }
 
-        // Update results display
-        renderResultsChart(allResults);
+        spacingDiv.innerHTML = `
+            <h4>Mode Spacing</h4>
+            <p class="spacing-summary">${summary}</p>
+            ${bars || '<div class="no-data-message">No gear mode drives the selected axle.</div>'}
+            ${flags ? `<ul>${flags}</ul>` : ''}
+        `;
     }
 
-    function computeGearMode(gearModeNum) {
-        // Track which axles have known values
-        const axleValues = new Map();  // axleId -> { speed, torque, outputBy: toolId }
+    /**
+     * Summarize the axles marked as outputs: speed and torque in every gear mode
+     * @param {Object} allResults - Gear mode -> result of computeGearMode()
+     */
+    function renderOutputSummary(allResults) {
+        const outputsDiv = document.getElementById('results-outputs');
+        if (!outputsDiv) return;
 
-        // Initialize source axle output
-        const sourceConn = sourceTool.connections[0];
-        if (sourceConn.axleId !== null) {
-            axleValues.set(sourceConn.axleId, { speed: 1, torque: 1, outputBy: 'source' });
+        const outputs = axles.filter(a => a.isOutput);
+        if (outputs.length === 0) {
+            outputsDiv.innerHTML = '';
+            return;
         }
-        sourceTool.status[gearModeNum] = { error: null, flagged: false };
-
-        // Iterate until no changes (propagation)
-        let changed = true;
-        let iterations = 0;
-        const maxIterations = 100;
-
-        while (changed && iterations < maxIterations) {
-            changed = false;
-            iterations++;
-
-            for (const tool of tools) {
-                if (tool.type === 'source') continue;
-
-                const result = evaluateTool(tool, gearModeNum, axleValues);
 
-                // Update tool status
-                tool.status[gearModeNum] = {
-                    error: result.error || null,
-                    flagged: result.flagged || false
-                };
-
-                // Handle single output
-                if (result.output && !result.error) {
-                    const { axleId, speed, torque } = result.output;
-                    const existing = axleValues.get(axleId);
-
-                    if (existing && existing.outputBy !== tool.id) {
-                        // ERROR: multiple outputs to same axle
-                        tool.status[gearModeNum] = {
-                            error: `Conflict with ${getToolLabel(existing.outputBy)}`,
-                            flagged: false
-                        };
-                    } else if (!existing) {
-                        axleValues.set(axleId, { speed, torque, outputBy: tool.id });
-                        changed = true;
-                    }
-                }
-
-                // Handle multiple outputs (for Locked mode)
-                if (result.outputs && !result.error) {
-                    for (const output of result.outputs) {
-                        const { axleId, speed, torque } = output;
-                        const existing = axleValues.get(axleId);
-
-                        if (existing && existing.outputBy !== tool.id) {
-                            // Skip this output if another tool already controls it
-                            continue;
-                        } else if (!existing) {
-                            axleValues.set(axleId, { speed, torque, outputBy: tool.id });
-                            changed = true;
-                        }
-                    }
+        const physical = usesPhysicalUnits();
+        let html = '<table class="outputs-table"><thead><tr><th>Output</th>';
+        for (let g = 1; g <= gearModes.length; g++) {
+            html += `<th>${escapeHtml(modeLabel(g))}</th>`;
+        }
+        html += '</tr></thead><tbody>';
+        for (const axle of outputs) {
+            html += `<tr><td>${escapeHtml(axle.name)}${axle.notes ? `<span class="output-notes">${escapeHtml(axle.notes)}</span>` : ''}</td>`;
+            for (let g = 1; g <= gearModes.length; g++) {
+                const modeResults = allResults[g];
+                const value = modeResults && modeResults.axles.get(axle.id);
+                if (value && physical && value.torque !== null) {
+                    html += `
+                        <td>${formatExact(value.speedExact)} rpm
+                            <span class="output-torque">${formatExact(value.torqueExact)} N·cm</span>
+                            <span class="output-torque">${formatNumber(getPowerWatts(value), 3)} W</span>
+                        </td>
+                    `;
+                } else if (value) {
+                    html += `<td>Speed ${formatExact(value.speedExact)}<span class="output-torque">Torque ${formatExact(value.torqueExact)}</span></td>`;
+                } else {
+                    const free = modeResults && modeResults.free.includes(axle.id);
+                    html += `<td class="no-power">${free ? 'Free-spinning' : 'Not driven'}</td>`;
                 }
             }
+            html += '</tr>';
         }
-
-        return axleValues;
+        html += '</tbody></table>';
+        outputsDiv.innerHTML = html;
     }
 
-    function getToolLabel(toolId) {
-        if (toolId === 'source') return 'Source';
-        const tool = tools.find(t => t.id === toolId);
-        if (tool) {
-            return getToolTypeName(tool.type);
-        }
-        return toolId;
-    }
+    /**
+     * List jammed (over-constrained) and free-spinning (under-constrained) axles per gear mode
+     * @param {Object} allResults - Gear mode -> result of computeGearMode()
+     */
+    function renderDiagnostics(allResults) {
+        const diagDiv = document.getElementById('results-diagnostics');
+        if (!diagDiv) return;
 
-    function evaluateTool(tool, gearModeNum, axleValues) {
-        switch (tool.type) {
-            case 'coupling':
-                return evaluateCoupling(tool, gearModeNum, axleValues);
-            case 'selector':
-                return evaluateSelector(tool, gearModeNum, axleValues);
-            case 'differential':
-                return evaluateDifferential(tool, gearModeNum, axleValues);
-            default:
-                return { flagged: true };
+        let html = '';
+        for (let g = 1; g <= gearModes.length; g++) {
+            const modeResults = allResults[g];
+            if (!modeResults) continue;
+            for (const jam of modeResults.jammed) {
+                const toolNames = jam.tools.map(getToolLabel).join(', ');
+                const axleNames = jam.axles.map(getAxleName).join(', ');
+                html += `<li class="status-error"><strong>${escapeHtml(modeLabel(g))}:</strong> jammed (over-constrained) — ${escapeHtml(toolNames)} on ${escapeHtml(axleNames)}</li>`;
+            }
+            if (modeResults.free.length > 0) {
+                const axleNames = modeResults.free.map(getAxleName).join(', ');
+                html += `<li class="status-flagged"><strong>${escapeHtml(modeLabel(g))}:</strong> free-spinning (under-constrained) — ${escapeHtml(axleNames)}</li>`;
+            }
+            if (usesPhysicalUnits()) {
+                for (const [axleId, value] of modeResults.axles) {
+                    if (value.torque === null || Math.abs(value.torque) <= torqueLimits.axle) continue;
+                    html += `<li class="status-flagged"><strong>${escapeHtml(modeLabel(g))}:</strong> ${escapeHtml(getAxleName(axleId))} carries ${formatNumber(Math.abs(value.torque), 1)} N·cm, above the axle limit of ${torqueLimits.axle} N·cm</li>`;
+                }
+            }
+        }
+        for (const control of shiftControls) {
+            for (const problem of Core.validateShiftControl(getDesign(), control)) {
+                html += `<li class="status-flagged"><strong>${escapeHtml(modeLabel(problem.mode))}:</strong> ${escapeHtml(control.name)} — ${escapeHtml(problem.message)}</li>`;
+            }
         }
-    }
-
-    function evaluateCoupling(tool, gearModeNum, axleValues) {
-        const connA = tool.connections.find(c => c.name === 'Gear A');  // Gear piece A
-        const connB = tool.connections.find(c => c.name === 'Gear B');  // Gear piece B
-
-        if (!connA || !connB) return { flagged: true };
 
-        const teethA = tool.params.teethA || 16;
-        const teethB = tool.params.teethB || 16;
+        diagDiv.innerHTML = html ? `<h4>Diagnostics</h4><ul>${html}</ul>` : '';
+    }
 
-        // Check if axles have inputs from OTHER tools (not this coupling)
-        const hasInputA = connA.axleId !== null && axleValues.has(connA.axleId) && axleValues.get(connA.axleId).outputBy !== tool.id;
-        const hasInputB = connB.axleId !== null && axleValues.has(connB.axleId) && axleValues.get(connB.axleId).outputBy !== tool.id;
+    /**
+     * Show the power path efficiency and the power lost on the way to each axle per gear mode.
+     * Power is speed × torque; the loss is the power dissipated upstream of the axle.
+     * @param {Object} allResults - Gear mode -> result of computeGearMode()
+     */
+    function renderEfficiency(allResults) {
+        const effDiv = document.getElementById('results-efficiency');
+        if (!effDiv) return;
 
-        if (hasInputA && hasInputB) {
-            return { error: 'Conflicting outputs' };
+        const usedAxles = axles.filter(axle => tools.some(t => t.connections.some(c => c.axleId === axle.id)));
+        if (usedAxles.length === 0) {
+            effDiv.innerHTML = '';
+            return;
         }
 
-        if (!hasInputA && !hasInputB) {
-            return { flagged: true };
+        let html = '<h4>Efficiency and Power Loss</h4><table class="efficiency-table"><thead><tr><th>Axle</th>';
+        for (let g = 1; g <= gearModes.length; g++) {
+            html += `<th>${escapeHtml(modeLabel(g))}</th>`;
         }
-
-        // Determine input and output
-        let inputConn, outputConn, inputTeeth, outputTeeth;
-        if (hasInputA) {
-            inputConn = connA;
-            outputConn = connB;
-            inputTeeth = teethA;
-            outputTeeth = teethB;
-        } else {
-            inputConn = connB;
-            outputConn = connA;
-            inputTeeth = teethB;
-            outputTeeth = teethA;
+        html += '</tr></thead><tbody>';
+        for (const axle of usedAxles) {
+            html += `<tr><td>${escapeHtml(axle.name)}</td>`;
+            for (let g = 1; g <= gearModes.length; g++) {
+                const value = allResults[g] && allResults[g].axles.get(axle.id);
+                if (!value || value.efficiency === null || value.torque === null) {
+                    html += '<td class="no-power">—</td>';
+                    continue;
+                }
+                const power = Math.abs(value.speed * value.torque);
+                // Zero efficiency transmits nothing: the loss is the unknown input power
+                const loss = value.efficiency > 0 ? formatValue(power / value.efficiency - power) : '—';
+                html += `<td>${(value.efficiency * 100).toFixed(1)}%<span class="power-loss">loss ${loss}</span></td>`;
+            }
+            html += '</tr>';
         }
+        html += '</tbody></table>';
+        effDiv.innerHTML = html;
+    }
 
-        if (outputConn.axleId === null) {
-            return { flagged: true };  // Output not connected
+    /**
+     * Show every axle (rows) in every gear mode (columns) with speed, direction,
+     * torque and driving tool, as a sortable, filterable and exportable table
+     * @param {Object} allResults - Gear mode -> result of computeGearMode()
+     */
+    function renderMatrix(allResults) {
+        if (!document.getElementById('results-matrix')) return;
+
+        // Columns depend on the gear modes (number and names) and the units (physical units add power);
+        // keep the sort order when rebuilding
+        const physical = usesPhysicalUnits();
+        // Drop float noise (2.8499999999999996) from exported values
+        const exportNumber = value => value === null ? '' : Number(value.toPrecision(12));
+        const columns = [{ key: 'axle', label: 'Axle', type: 'text' }];
+        for (let g = 1; g <= gearModes.length; g++) {
+            columns.push(
+                { key: `speed${g}`, label: `${modeLabel(g)} Speed${physical ? ' (rpm)' : ''}`, type: 'number', formatter: (v, row) => formatExact(row[`speedExact${g}`]), exportFormatter: exportNumber },
+                { key: `direction${g}`, label: `${modeLabel(g)} Direction`, type: 'text' },
+                { key: `torque${g}`, label: `${modeLabel(g)} Torque${physical ? ' (N·cm)' : ''}`, type: 'number', formatter: (v, row) => formatExact(row[`torqueExact${g}`]), exportFormatter: exportNumber }
+            );
+            if (physical) {
+                columns.push({ key: `power${g}`, label: `${modeLabel(g)} Power (W)`, type: 'number', formatter: v => v === null ? '—' : formatNumber(v, 3), exportFormatter: exportNumber });
+            }
+            columns.push({ key: `driver${g}`, label: `${modeLabel(g)} Driven By`, type: 'text' });
+        }
+        const headings = cols => cols.map(c => c.label).join('\n');
+        if (!matrixTable || headings(matrixTable.columns) !== headings(columns)) {
+            const previous = matrixTable;
+            matrixTable = new DataTable('results-matrix', columns);
+            if (previous && previous.sortColumn && columns.some(c => c.key === previous.sortColumn)) {
+                matrixTable.sortColumn = previous.sortColumn;
+                matrixTable.sortDirection = previous.sortDirection;
+            }
         }
 
-        const input = axleValues.get(inputConn.axleId);
-        // Gears reverse direction if invertDirection is enabled
-        const invertDirection = tool.params.invertDirection !== undefined ? tool.params.invertDirection : true;
-        const directionMultiplier = invertDirection ? -1 : 1;
-        const outputSpeed = directionMultiplier * input.speed * (inputTeeth / outputTeeth);
-        const outputTorque = input.torque * (outputTeeth / inputTeeth);
-
-        return {
-            output: {
-                axleId: outputConn.axleId,
-                speed: outputSpeed,
-                torque: outputTorque
+        const rows = [];
+        for (const axle of axles) {
+            if (!tools.some(t => t.connections.some(c => c.axleId === axle.id))) continue;
+            const row = { axle: axle.name };
+            for (let g = 1; g <= gearModes.length; g++) {
+                const modeResults = allResults[g];
+                const value = modeResults && modeResults.axles.get(axle.id);
+                row[`speed${g}`] = value ? value.speed : null;
+                row[`torque${g}`] = value ? value.torque : null;
+                row[`speedExact${g}`] = value ? value.speedExact : null;
+                row[`torqueExact${g}`] = value ? value.torqueExact : null;
+                row[`power${g}`] = value && value.torque !== null ? getPowerWatts(value) : null;
+                row[`driver${g}`] = value && value.outputBy ? getToolLabel(value.outputBy) : '';
+                if (value) {
+                    row[`direction${g}`] = ['Reverse', 'Stopped', 'Forward'][value.speedExact.sign() + 1];
+                } else {
+                    row[`direction${g}`] = modeResults && modeResults.free.includes(axle.id) ? 'Free-spinning' : '';
+                }
             }
-        };
+            rows.push(row);
+        }
+        matrixTable.setData(rows);
+        matrixTable.render();
     }
 
-    function evaluateSelector(tool, gearModeNum, axleValues) {
-        const connCenter = tool.connections.find(c => c.name === 'Center');
-        const connA = tool.connections.find(c => c.name === 'A');
-        const connB = tool.connections.find(c => c.name === 'B');
+    /**
+     * Format an exact value as a reduced fraction with its float alongside, e.g. "1/7 (0.143)".
+     * Fractions with huge denominators (from arbitrary decimal inputs) show only the float.
+     * @param {Rational|null} value - Exact value
+     * @returns {string} Formatted value
+     */
+    function formatExact(value) {
+        if (value === null || value === undefined) return '—';
+        if (value.isInteger()) return value.toString();
+        if (value.den > 1000000n) return formatValue(value.toNumber());
+        return `${value.toString()} (${formatValue(value.toNumber())})`;
+    }
 
-        if (!connCenter || !connA || !connB) return { flagged: true };
+    // ==================== Bill of Materials ====================
 
-        // Get selection for this gear mode (Mode 1, Mode 2, etc.)
-        const selection = tool.params[`mode${gearModeNum}`] || 'Locked';
+    /**
+     * Count the physical parts of the design: gear pieces by teeth count (or catalog part),
+     * driving rings, differentials, planetary sets, clutch gear pieces and axles.
+     * Sources are drive inputs (motors) and are not counted; every sub-assembly instance
+     * counts the parts and inner axles of its sub-assembly.
+     * @returns {Object[]} Rows { category, part, description, quantity }
+     */
+    function buildBillOfMaterials() {
+        const rows = new Map();  // category + description -> row
+        const add = (category, description, part = '', quantity = 1) => {
+            const key = `${category}|${part}|${description}`;
+            if (!rows.has(key)) {
+                rows.set(key, { category: category, part: part, description: description, quantity: 0 });
+            }
+            rows.get(key).quantity += quantity;
+        };
+        const addGearPiece = (partId, teeth) => {
+            const part = PARTS.find(p => p.id === partId);
+            if (part) {
+                add('Gear piece', part.name, part.id);
+            } else {
+                add('Gear piece', `Gear piece, ${teeth} teeth`);
+            }
+        };
 
-        if (selection === 'Locked') {
-            // Locked mode: any connection without existing output gets speed=0
-            const outputs = [];
-            
-            for (const conn of [connCenter, connA, connB]) {
-                if (conn.axleId === null) continue;
-                
-                const hasExistingOutput = axleValues.has(conn.axleId) && axleValues.get(conn.axleId).outputBy !== tool.id;
-                if (!hasExistingOutput) {
-                    outputs.push({
-                        axleId: conn.axleId,
-                        speed: 0,
-                        torque: 0
-                    });
+        let innerAxles = 0;
+        const addTool = (tool) => {
+            switch (tool.type) {
+                case 'coupling':
+                    addGearPiece(tool.params.partA, tool.params.teethA || 16);
+                    addGearPiece(tool.params.partB, tool.params.teethB || 16);
+                    break;
+                case 'bevel':
+                    add('Gear piece', `Bevel gear piece, ${tool.params.teethA || 12} teeth`);
+                    add('Gear piece', `Bevel gear piece, ${tool.params.teethB || 12} teeth`);
+                    break;
+                case 'worm':
+                    add('Gear piece', `Worm gear piece ${tool.params.worm || '1(1L)'}`);
+                    add('Gear piece', `Gear piece, ${tool.params.teethWheel || 24} teeth`);
+                    break;
+                case 'clutch':
+                    add('Clutch', 'Clutch gear piece');
+                    break;
+                case 'selector':
+                    add('Driving ring', 'Driving ring');
+                    break;
+                case 'differential':
+                    add('Differential', 'Differential');
+                    break;
+                case 'planetary':
+                    add('Planetary', `Planetary set, sun ${tool.params.teethSun || 12} / ring ${tool.params.teethRing || 36} teeth`);
+                    break;
+                case 'assembly': {
+                    const assembly = getSubAssembly(getDesign(), tool);
+                    if (!assembly) break;
+                    assembly.tools.forEach(addTool);
+                    innerAxles += assembly.axles.filter(axle => !assembly.ports.some(p => p.axleId === axle.id)).length;
+                    break;
                 }
             }
-            
-            // Return all outputs (or flagged if none)
-            if (outputs.length > 0) {
-                return { outputs: outputs };
-            }
-            return { flagged: true };
+        };
+        tools.forEach(addTool);
+
+        // Axle lengths are not modelled; count the axles that carry parts (and pinned ones)
+        const usedAxles = axles.filter(axle => axle.pinned || tools.some(t => t.connections.some(c => c.axleId === axle.id)));
+        if (usedAxles.length + innerAxles > 0) {
+            add('Axle', 'Axle', '', usedAxles.length + innerAxles);
         }
 
-        // For 'A' or 'B' selection: connect center axle to selected axle
-        const activeConn = selection === 'A' ? connA : connB;
+        const categoryOrder = ['Gear piece', 'Driving ring', 'Clutch', 'Differential', 'Planetary', 'Axle'];
+        return [...rows.values()].sort((a, b) =>
+            categoryOrder.indexOf(a.category) - categoryOrder.indexOf(b.category) ||
+            a.description.localeCompare(b.description, undefined, { numeric: true })
+        );
+    }
 
-        // Check if axles have inputs from OTHER tools (not this selector)
-        const hasCenterInput = connCenter.axleId !== null && axleValues.has(connCenter.axleId) && axleValues.get(connCenter.axleId).outputBy !== tool.id;
-        const hasActiveInput = activeConn.axleId !== null && axleValues.has(activeConn.axleId) && axleValues.get(activeConn.axleId).outputBy !== tool.id;
+    function renderBillOfMaterials() {
+        if (!document.getElementById('results-bom')) return;
 
-        if (hasCenterInput && hasActiveInput) {
-            return { error: 'Conflicting outputs' };
+        if (!bomTable) {
+            bomTable = new DataTable('results-bom', [
+                { key: 'category', label: 'Category', type: 'text' },
+                { key: 'part', label: 'Part', type: 'text' },
+                { key: 'description', label: 'Description', type: 'text' },
+                { key: 'quantity', label: 'Quantity', type: 'number' }
+            ]);
         }
+        bomTable.setData(buildBillOfMaterials());
+        bomTable.render();
+    }
 
-        if (!hasCenterInput && !hasActiveInput) {
-            return { flagged: true };  // No input (not an error, just no-op)
-        }
+    // ==================== Rotation Preview ====================
 
-        // Determine input and output (pass through unchanged)
-        let inputConn, outputConn;
-        if (hasCenterInput) {
-            inputConn = connCenter;
-            outputConn = activeConn;
-        } else {
-            inputConn = activeConn;
-            outputConn = connCenter;
+    /**
+     * Draw every axle as a disc with a rotating marker for the selected gear mode.
+     * Positions follow the graph view; speeds are scaled over all gear modes so switching
+     * modes keeps the relative speeds comparable.
+     * @param {Object} allResults - Gear mode -> result of computeGearMode() (defaults to the last results)
+     */
+    function renderAnimation(allResults) {
+        const svg = document.getElementById('results-animation');
+        if (!svg) return;
+        if (!allResults) {
+            allResults = lastResults;
         }
 
-        if (outputConn.axleId === null) {
-            return { flagged: true };  // Output not connected
+        if (animationMode > gearModes.length) {
+            animationMode = 1;
+        }
+        let options = '';
+        for (let g = 1; g <= gearModes.length; g++) {
+            options += `<option value="${g}" ${animationMode === g ? 'selected' : ''}>${escapeHtml(modeLabel(g))}</option>`;
         }
+        document.getElementById('animation-mode').innerHTML = options;
 
-        const input = axleValues.get(inputConn.axleId);
+        const modeResults = allResults[animationMode];
+        if (!modeResults || axles.length === 0) {
+            svg.innerHTML = '';
+            return;
+        }
 
-        return {
-            output: {
-                axleId: outputConn.axleId,
-                speed: input.speed,
-                torque: input.torque
+        const jammedAxles = modeResults.jammed.flatMap(jam => jam.axles);
+        let nodes = '';
+        axles.forEach((axle, i) => {
+            const { x, y } = axle.position || { x: i * 100, y: 0 };
+            const value = modeResults.axles.get(axle.id);
+            const angle = animationAngles.get(axle.id) || 0;
+            let state;
+            let label;
+            if (jammedAxles.includes(axle.id)) {
+                state = 'jammed';
+                label = 'Jammed';
+            } else if (modeResults.free.includes(axle.id)) {
+                state = 'free';
+                label = 'Free-spinning';
+            } else if (!value) {
+                state = 'no-data';
+                label = 'No data';
+            } else if (value.speedExact.isZero()) {
+                state = 'stopped';
+                label = 'Stopped';
+            } else {
+                state = value.speed > 0 ? 'forward' : 'reverse';
+                label = `${value.speed > 0 ? '↻' : '↺'} ${formatExact(value.speedExact)}`;
             }
-        };
-    }
-
-    function evaluateDifferential(tool, gearModeNum, axleValues) {
-        const connBody = tool.connections.find(c => c.name === 'Body');
-        const connA = tool.connections.find(c => c.name === 'A');
-        const connB = tool.connections.find(c => c.name === 'B');
-
-        if (!connBody || !connA || !connB) return { flagged: true };
-
-        // Check if axles have inputs from OTHER tools (not this differential)
-        const hasBodyInput = connBody.axleId !== null && axleValues.has(connBody.axleId) && axleValues.get(connBody.axleId).outputBy !== tool.id;
-        const hasAInput = connA.axleId !== null && axleValues.has(connA.axleId) && axleValues.get(connA.axleId).outputBy !== tool.id;
-        const hasBInput = connB.axleId !== null && axleValues.has(connB.axleId) && axleValues.get(connB.axleId).outputBy !== tool.id;
+            nodes += `
+                <g class="animation-axle ${state}${axle.isOutput ? ' output' : ''}" data-axle-id="${axle.id}">
+                    <circle class="animation-disc" cx="${x}" cy="${y}" r="${ANIMATION_AXLE_RADIUS}"></circle>
+                    <g class="animation-rotor" transform="rotate(${angle} ${x} ${y})">
+                        <line x1="${x}" y1="${y}" x2="${x}" y2="${y - ANIMATION_AXLE_RADIUS}"></line>
+                        <circle cx="${x}" cy="${y - ANIMATION_AXLE_RADIUS + 5}" r="3"></circle>
+                    </g>
+                    <text class="animation-name" x="${x}" y="${y + ANIMATION_AXLE_RADIUS + 14}">${escapeHtml(axle.name)}</text>
+                    <text class="animation-speed" x="${x}" y="${y + ANIMATION_AXLE_RADIUS + 28}">${label}</text>
+                </g>
+            `;
+        });
 
-        const inputCount = (hasBodyInput ? 1 : 0) + (hasAInput ? 1 : 0) + (hasBInput ? 1 : 0);
+        const xs = axles.map((axle, i) => axle.position ? axle.position.x : i * 100);
+        const ys = axles.map(axle => axle.position ? axle.position.y : 0);
+        const minX = Math.min(...xs) - ANIMATION_AXLE_RADIUS - GRAPH_MARGIN;
+        const minY = Math.min(...ys) - ANIMATION_AXLE_RADIUS - GRAPH_MARGIN;
+        const width = Math.max(...xs) + ANIMATION_AXLE_RADIUS + GRAPH_MARGIN - minX;
+        const height = Math.max(...ys) + ANIMATION_AXLE_RADIUS + 28 + GRAPH_MARGIN - minY;
+        svg.setAttribute('viewBox', `${minX} ${minY} ${width} ${height}`);
+        svg.style.height = `${Math.max(120, height)}px`;
+        svg.innerHTML = nodes;
+    }
 
-        if (inputCount === 0 || inputCount === 1) {
-            return { flagged: true };
+    /**
+     * Start or pause the rotation preview
+     * @param {boolean} playing - Whether the markers should rotate
+     */
+    function setAnimationPlaying(playing) {
+        animationPlaying = playing;
+        const button = document.getElementById('animation-toggle');
+        if (button) button.textContent = playing ? 'Pause' : 'Play';
+
+        if (playing && animationFrame === null) {
+            animationTime = null;
+            animationFrame = requestAnimationFrame(stepAnimation);
+        } else if (!playing && animationFrame !== null) {
+            cancelAnimationFrame(animationFrame);
+            animationFrame = null;
         }
+    }
 
-        if (inputCount === 3) {
-            return { error: 'Conflicting outputs' };
+    /**
+     * Advance every rotating marker by its axle speed since the previous frame
+     * @param {number} timestamp - Frame time in milliseconds
+     */
+    function stepAnimation(timestamp) {
+        animationFrame = null;
+        const svg = document.getElementById('results-animation');
+        if (!svg || !container.classList.contains('active')) {
+            // Tab left or module rebuilt: stop instead of animating hidden markers
+            setAnimationPlaying(false);
+            return;
         }
 
-        // Exactly 2 inputs - the third becomes output
-        let outputConn;
-        let outputSpeed, outputTorque;
+        const seconds = animationTime === null ? 0 : (timestamp - animationTime) / 1000;
+        animationTime = timestamp;
 
-        if (!hasBodyInput) {
-            // Body is output
-            outputConn = connBody;
-            const inputA = axleValues.get(connA.axleId);
-            const inputB = axleValues.get(connB.axleId);
-            outputSpeed = (inputA.speed + inputB.speed) / 2;
-            outputTorque = 2 * (inputA.torque + inputB.torque);
-        } else if (!hasAInput) {
-            // A is output
-            outputConn = connA;
-            const bodyInput = axleValues.get(connBody.axleId);
-            const bInput = axleValues.get(connB.axleId);
-            outputSpeed = 2 * bodyInput.speed - bInput.speed;
-            outputTorque = (bodyInput.torque + bInput.torque) / 2;
-        } else {
-            // B is output
-            outputConn = connB;
-            const bodyInput = axleValues.get(connBody.axleId);
-            const aInput = axleValues.get(connA.axleId);
-            outputSpeed = 2 * bodyInput.speed - aInput.speed;
-            outputTorque = (bodyInput.torque + aInput.torque) / 2;
+        // Scale by the fastest axle of all gear modes
+        let maxSpeed = 0;
+        for (let g = 1; g <= gearModes.length; g++) {
+            for (const value of lastResults[g] ? lastResults[g].axles.values() : []) {
+                maxSpeed = Math.max(maxSpeed, Math.abs(value.speed));
+            }
         }
-
-        if (outputConn.axleId === null) {
-            return { flagged: true };  // Output not connected
+        const modeResults = lastResults[animationMode];
+        if (modeResults && maxSpeed > 0) {
+            const degreesPerSpeed = ANIMATION_MAX_RPS * 360 / maxSpeed;
+            for (const rotor of svg.querySelectorAll('.animation-axle.forward, .animation-axle.reverse')) {
+                const axleId = parseInt(rotor.dataset.axleId);
+                const value = modeResults.axles.get(axleId);
+                if (!value) continue;
+                const angle = ((animationAngles.get(axleId) || 0) + value.speed * degreesPerSpeed * seconds) % 360;
+                animationAngles.set(axleId, angle);
+                const disc = rotor.querySelector('.animation-disc');
+                rotor.querySelector('.animation-rotor').setAttribute('transform',
+                    `rotate(${angle} ${disc.getAttribute('cx')} ${disc.getAttribute('cy')})`);
+            }
         }
 
-        return {
-            output: {
-                axleId: outputConn.axleId,
-                speed: outputSpeed,
-                torque: outputTorque
-            }
-        };
+        animationFrame = requestAnimationFrame(stepAnimation);
     }
 
-    // ==================== Results Display ====================
+    // ==================== Synthesis ====================
+
+    function renderSynthesis() {
+        const synthDiv = document.createElement('div');
+        synthDiv.className = 'gearbox-synthesis';
+        synthDiv.innerHTML = `
+            <h3>Synthesis</h3>
+            <p class="synthesis-hint">Enter the output:input speed ratio wanted for each gear mode (e.g. <code>1:3, 1:1, 5:3</code>; prefix <code>-</code> for reverse).
+            Candidates use one gear path per gear mode from the input axle, combined onto the output axle by selectors.</p>
+            <div class="synthesis-controls">
+                <div class="param-row">
+                    <label for="synthesis-targets">Target ratios:</label>
+                    <input type="text" id="synthesis-targets" value="1:3, 1:1, 5:3">
+                </div>
+                <div class="param-row">
+                    <label>Gear set:</label>
+                    <span class="synthesis-gears">
+                        ${SPUR_TEETH.map(t => `
+                            <label><input type="checkbox" class="synthesis-gear" value="${t}" checked> ${t}</label>
+                        `).join('')}
+                    </span>
+                </div>
+                <div class="param-row">
+                    <label for="synthesis-max-couplings">Max couplings:</label>
+                    <input type="number" id="synthesis-max-couplings" min="1" value="8">
+                </div>
+                <div class="param-row">
+                    <label for="synthesis-max-selectors">Max selectors:</label>
+                    <input type="number" id="synthesis-max-selectors" min="0" value="3">
+                </div>
+                <div class="param-row">
+                    <label for="synthesis-tolerance">Tolerance (%):</label>
+                    <input type="number" id="synthesis-tolerance" min="0" step="any" value="2">
+                </div>
+                <button class="btn btn-primary" id="synthesis-run">Find Designs</button>
+            </div>
+            <div class="synthesis-results" id="synthesis-results"></div>
+        `;
+        container.appendChild(synthDiv);
 
-    function renderResultsChart(allResults) {
-        const chartDiv = document.getElementById('results-chart');
-        if (!chartDiv) return;
+        document.getElementById('synthesis-run').addEventListener('click', runSynthesis);
+        document.getElementById('synthesis-results').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-candidate]');
+            if (button) loadCandidate(parseInt(button.dataset.candidate));
+        });
+    }
 
-        // Use stored results if not provided
-        if (!allResults) {
-            allResults = {};
-            for (let g = 1; g <= numGearModes; g++) {
-                allResults[g] = computeGearMode(g);
-            }
+    /**
+     * Read the synthesis inputs, search for candidates and show them
+     */
+    function runSynthesis() {
+        const resultsDiv = document.getElementById('synthesis-results');
+        const targets = document.getElementById('synthesis-targets').value
+            .split(',')
+            .map(text => text.trim())
+            .filter(text => text !== '');
+        const ratios = targets.map(parseRatio);
+        const invalid = targets.filter((text, i) => ratios[i] === null);
+        if (targets.length === 0 || invalid.length > 0) {
+            synthesisCandidates = [];
+            resultsDiv.innerHTML = `<div class="no-data-message">Invalid target ratio${invalid.length > 1 ? 's' : ''}: ${escapeHtml(invalid.join(', ') || '(none)')}</div>`;
+            return;
         }
 
-        // Get values for selected axle across all gear modes
-        const axleData = [];
-        let maxSpeed = 0;
-        let maxTorque = 0;
-
-        for (let g = 1; g <= numGearModes; g++) {
-            const modeResults = allResults[g];
-            const axleValue = modeResults.get(selectedAxleId);
-
-            if (axleValue) {
-                axleData.push({
-                    mode: g,
-                    speed: axleValue.speed,
-                    torque: axleValue.torque,
-                    error: null
-                });
-                maxSpeed = Math.max(maxSpeed, Math.abs(axleValue.speed));
-                maxTorque = Math.max(maxTorque, Math.abs(axleValue.torque));
-            } else {
-                axleData.push({
-                    mode: g,
-                    speed: null,
-                    torque: null,
-                    error: 'No data'
-                });
-            }
-        }
+        const gearSet = [...document.querySelectorAll('.synthesis-gear:checked')].map(input => parseInt(input.value));
+        const result = Core.synthesizeGearbox({
+            targets: ratios,
+            gearSet: gearSet,
+            maxCouplings: parseInt(document.getElementById('synthesis-max-couplings').value) || 0,
+            maxSelectors: parseInt(document.getElementById('synthesis-max-selectors').value) || 0,
+            tolerance: (parseFloat(document.getElementById('synthesis-tolerance').value) || 0) / 100
+        });
+        synthesisCandidates = result.candidates;
+        renderSynthesisResults(targets, result);
+    }
 
-        // Ensure we have reasonable max values for scaling
-        maxSpeed = maxSpeed || 1;
-        maxTorque = maxTorque || 1;
+    /**
+     * Parse a target ratio written as "a:b" (output:input speed) or as a plain number
+     * @param {string} text - Ratio text
+     * @returns {number|null} Ratio, or null if invalid or zero
+     */
+    function parseRatio(text) {
+        const parts = text.split(':').map(part => part.trim());
+        if (parts.length > 2 || parts.some(part => part === '' || isNaN(Number(part)))) return null;
+        const ratio = parts.length === 2 ? Number(parts[0]) / Number(parts[1]) : Number(parts[0]);
+        return Number.isFinite(ratio) && ratio !== 0 ? ratio : null;
+    }
 
-        // Render chart
-        if (axleData.every(d => d.error)) {
-            chartDiv.innerHTML = '<div class="no-data-message">No data available for selected axle. Connect tools to this axle to see results.</div>';
+    /**
+     * List synthesis candidates with their verified ratios
+     * @param {string[]} targets - Target ratio texts as entered
+     * @param {Object} result - Result of synthesizeGearbox()
+     */
+    function renderSynthesisResults(targets, result) {
+        const resultsDiv = document.getElementById('synthesis-results');
+        if (result.candidates.length === 0) {
+            resultsDiv.innerHTML = `<div class="no-data-message">No candidates found. ${escapeHtml(result.problem || '')}</div>`;
             return;
         }
 
-        let html = '';
-        for (const data of axleData) {
-            html += `
-                <div class="chart-row">
-                    <span class="mode-label">Mode ${data.mode}</span>
-                    <div class="chart-bars">
-            `;
-
-            if (data.error) {
-                html += `
-                    <div class="chart-bar-wrapper">
-                        <span class="chart-bar-label">Speed:</span>
-                        <div class="chart-bar-container">
-                            <div class="chart-bar error" style="width: 0%"></div>
-                        </div>
-                        <span class="chart-bar-value error">${data.error}</span>
-                    </div>
-                    <div class="chart-bar-wrapper">
-                        <span class="chart-bar-label">Torque:</span>
-                        <div class="chart-bar-container">
-                            <div class="chart-bar error" style="width: 0%"></div>
-                        </div>
-                        <span class="chart-bar-value error">${data.error}</span>
-                    </div>
-                `;
-            } else {
-                const speedWidth = (Math.abs(data.speed) / maxSpeed) * 100;
-                const torqueWidth = (Math.abs(data.torque) / maxTorque) * 100;
+        let html = '<table class="synthesis-table"><thead><tr><th>#</th><th>Parts</th>';
+        targets.forEach((target, i) => {
+            html += `<th>Mode ${i + 1} (${escapeHtml(target)})</th>`;
+        });
+        html += '<th>Max error</th><th></th></tr></thead><tbody>';
+        result.candidates.forEach((candidate, index) => {
+            html += `<tr><td>${index + 1}</td>
+                <td>${candidate.couplings} coupling${candidate.couplings === 1 ? '' : 's'}, ${candidate.selectors} selector${candidate.selectors === 1 ? '' : 's'}${candidate.reversed ? '<span class="synthesis-note">output reversed</span>' : ''}</td>`;
+            candidate.paths.forEach((path, i) => {
+                const gears = path.meshes.map(([a, b]) => `${a}:${b}`).join(' → ');
+                html += `<td>${formatExact(candidate.ratios[i])}<span class="synthesis-note">${gears}</span></td>`;
+            });
+            html += `<td>${(candidate.error * 100).toFixed(2)}%</td>
+                <td><button class="btn btn-outline" data-candidate="${index}">Load</button></td></tr>`;
+        });
+        html += '</tbody></table>';
+        if (result.truncated) {
+            html += '<p class="synthesis-hint">The search stopped early; fewer target ratios or a smaller gear set may find better candidates.</p>';
+        }
+        resultsDiv.innerHTML = html;
+    }
 
-                html += `
-                    <div class="chart-bar-wrapper">
-                        <span class="chart-bar-label">Speed:</span>
-                        <div class="chart-bar-container">
-                            <div class="chart-bar speed" style="width: ${speedWidth}%"></div>
-                        </div>
-                        <span class="chart-bar-value">${formatValue(data.speed)}</span>
-                    </div>
-                    <div class="chart-bar-wrapper">
-                        <span class="chart-bar-label">Torque:</span>
-                        <div class="chart-bar-container">
-                            <div class="chart-bar torque" style="width: ${torqueWidth}%"></div>
-                        </div>
-                        <span class="chart-bar-value">${formatValue(data.torque)}</span>
-                    </div>
-                `;
-            }
+    /**
+     * Replace the current design with a synthesis candidate
+     * @param {number} index - Index into synthesisCandidates
+     */
+    function loadCandidate(index) {
+        const candidate = synthesisCandidates[index];
+        if (!candidate) return;
+        if (!confirm('Replace the current gearbox design with this candidate?')) return;
+        // Build a fresh copy so the candidate can be loaded again after edits
+        editDesign(`Load synthesis candidate #${index + 1}`, () => {
+            applyDesign(Core.buildSynthesisDesign(candidate.paths));
+            showMessages(`Loaded synthesis candidate #${index + 1}`, []);
+            refreshAll();
+        });
+    }
 
-            html += `
+    // ==================== Templates ====================
+
+    function renderTemplates() {
+        const templatesDiv = document.createElement('details');
+        templatesDiv.className = 'gearbox-templates';
+
+        const cards = TEMPLATES.map(template => {
+            const check = verifyTemplate(template);
+            const ratios = template.ratios.map((expected, i) => {
+                const actual = check.ratios[i];
+                const shown = actual === undefined ? '—' : formatExact(actual);
+                return `<li>${escapeHtml(Core.getGearModeLabel(template.design, i + 1))}: ${shown}${expected === null ? ' (free)' : ''}</li>`;
+            }).join('');
+            return `
+                <div class="template-card${check.ok ? '' : ' has-error'}">
+                    <h4>${escapeHtml(template.name)}</h4>
+                    <p>${escapeHtml(template.description)}</p>
+                    <ul class="template-ratios">${ratios}</ul>
+                    <div class="template-check">
+                        ${check.ok ? '✓ Ratios verified' : `✗ Expected ${template.ratios.map(r => r === null ? 'free' : r).join(', ')}`}
                     </div>
+                    <button class="btn btn-outline" data-template="${template.id}">Load</button>
                 </div>
             `;
-        }
+        }).join('');
 
-        chartDiv.innerHTML = html;
+        templatesDiv.innerHTML = `
+            <summary>Templates</summary>
+            <div class="template-list">${cards}</div>
+        `;
+        container.appendChild(templatesDiv);
+
+        templatesDiv.querySelector('.template-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-template]');
+            if (button) loadTemplate(button.dataset.template);
+        });
     }
 
-    function formatValue(value) {
-        if (value === null || value === undefined) return '—';
-        if (Number.isInteger(value)) return value.toString();
-        return value.toFixed(3);
+    function loadTemplate(templateId) {
+        const template = TEMPLATES.find(t => t.id === templateId);
+        if (!template) return;
+        if (!confirm(`Replace the current gearbox design with the ${template.name} template?`)) return;
+        editDesign(`Load ${template.name} template`, () => {
+            applyDesign(buildTemplateDesign(template));
+            showMessages(`Loaded the ${template.name} template`, []);
+            refreshAll();
+        });
     }
 
     // ==================== Module Registration ====================
@@ -1,28 +1,32 @@
 /**
  * Gears Module - Gear Couplings Calculator
  * Calculates all possible gear coupling configurations between two Technic Brick gears,
- * showing exact, overfit, and underfit mounting positions.
+ * showing exact, overfit, and underfit mounting positions on parallel axles or, for
+ * bevel gear pieces, knob wheels and worms, on perpendicular axles. A gear train finder
+ * lists chains of gear pieces with idlers between two given axle positions.
  */
 (function() {
     'use strict';
 
     // Standard gear teeth options
-    const STANDARD_TEETH = [
-        { value: '1(1L)', label: '1(1L)', numeric: 0.75, isWorm: true, radius: 0.75 },
-        { value: '1(2L)', label: '1(2L)', numeric: 0.5, isWorm: true, radius: 0.5 },
-        { value: 8, label: '8', numeric: 8, isWorm: false, radius: 0.5 },
-        { value: 12, label: '12', numeric: 12, isWorm: false, radius: 0.75 },
-        { value: 16, label: '16', numeric: 16, isWorm: false, radius: 1 },
-        { value: 20, label: '20', numeric: 20, isWorm: false, radius: 1.25 },
-        { value: 24, label: '24', numeric: 24, isWorm: false, radius: 1.5 },
-        { value: 28, label: '28', numeric: 28, isWorm: false, radius: 1.75 },
-        { value: 36, label: '36', numeric: 36, isWorm: false, radius: 2.25 },
-        { value: 40, label: '40', numeric: 40, isWorm: false, radius: 2.5 }
-    ];
+    const {
+        STANDARD_TEETH, KNOB_WHEEL, PLATE, calculateCenterDistance, findMountingPositions,
+        calculatePerpendicularOffset, findPerpendicularPositions, findGearTrains
+    } = window.GearData;
+
+    // Upper limit for the idler count input; the search grows fast with every idler
+    const MAX_IDLERS = 3;
 
     // Default checked teeth
     const DEFAULT_CHECKED = ['1(1L)', '1(2L)', 8, 12, 16, 20, 24];
 
+    // Display names of perpendicular mesh kinds
+    const MESH_KIND_NAMES = {
+        'bevel': 'Bevel',
+        'knob': 'Knob wheel',
+        'worm': 'Worm'
+    };
+
     /**
      * Get the radius of a gear
      * @param {string|number} teeth - Teeth count or worm designation
@@ -51,25 +55,10 @@
     function getGearSortValue(teeth) {
         if (teeth === '1(1L)') return 0.75;
         if (teeth === '1(2L)') return 0.5;
+        if (teeth === KNOB_WHEEL.value) return KNOB_WHEEL.numeric;
         return teeth;
     }
 
-    /**
-     * Calculate center distance between two gears
-     * @param {string|number} gearA - Gear A teeth
-     * @param {string|number} gearB - Gear B teeth
-     * @returns {number} Center distance in studs
-     */
-    function calculateCenterDistance(gearA, gearB) {
-        if (gearA === '1(1L)') {
-            return 0.75 + (gearB / 16);
-        } else if (gearA === '1(2L)') {
-            return 0.5 + (gearB / 16);
-        } else {
-            return (gearA + gearB) / 16;
-        }
-    }
-
     /**
      * Calculate gear ratio
      * @param {string|number} gearA - Gear A teeth (driver)
@@ -80,45 +69,11 @@
         if (gearA === '1(1L)' || gearA === '1(2L)') {
             return 1 / gearB;
         }
-        return gearA / gearB;
-    }
-
-    /**
-     * Find all valid mounting positions for a gear pair
-     * @param {number} dist - Ideal center distance
-     * @param {number} maxOverfit - Maximum overfit tolerance
-     * @param {number} maxUnderfit - Maximum underfit tolerance
-     * @returns {Object} Object with exact, overfit, and underfit arrays
-     */
-    function findMountingPositions(dist, maxOverfit, maxUnderfit) {
-        const exactList = [];
-        const overfitList = [];
-        const underfitList = [];
-
-        const maxCoord = Math.ceil(dist + maxOverfit + 1);
-
-        for (let x = 0; x <= maxCoord; x += 0.5) {
-            for (let y = 0; y <= x; y += 0.5) {
-                const actualDist = Math.sqrt(x * x + y * y);
-
-                // Skip if too far or too close
-                if (actualDist > dist + maxOverfit) continue;
-                if (actualDist < dist - maxUnderfit) continue;
-                if (actualDist === 0) continue;
-
-                const diff = actualDist - dist;
-
-                if (Math.abs(diff) < 0.0001) {
-                    exactList.push({ x, y, dist: actualDist });
-                } else if (diff > 0) {
-                    overfitList.push({ x, y, dist: actualDist });
-                } else {
-                    underfitList.push({ x, y, dist: actualDist });
-                }
-            }
+        if (gearA === KNOB_WHEEL.value) {
+            // Knob wheels only mesh with each other
+            return 1;
         }
-
-        return { exact: exactList, overfit: overfitList, underfit: underfitList };
+        return gearA / gearB;
     }
 
     /**
@@ -189,6 +144,57 @@
         return `<span class="text-red">${formatted}</span>`;
     }
 
+    /**
+     * Format one 3D offset in studs, or in plates for the offset stacked vertically
+     * @param {number} value - Offset in studs
+     * @param {boolean} plates - True to show the offset as a number of plates
+     * @returns {string} Formatted offset
+     */
+    function formatOffset(value, plates) {
+        if (plates) return `${Math.round(value / PLATE)}p`;
+        return String(parseFloat(value.toFixed(3)));
+    }
+
+    /**
+     * Format a 3D position as x×y×z
+     * @param {Object} pos - Position object {x, y, z, plateAxis}
+     * @returns {string} Formatted position
+     */
+    function format3DPosition(pos) {
+        return ['x', 'y', 'z'].map(axis => formatOffset(pos[axis], pos.plateAxis === axis)).join('×');
+    }
+
+    /**
+     * Format 3D positions list for table cell
+     * @param {Array} positions - Array of position objects {x, y, z, plateAxis, diff}
+     * @param {string} fit - 'exact', 'overfit' or 'underfit'
+     * @returns {string} HTML string
+     */
+    function format3DList(positions, fit) {
+        if (positions.length === 0) return '<span class="text-black">--</span>';
+        if (fit === 'exact') {
+            return `<span class="text-black">${positions.map(format3DPosition).join('; ')}</span>`;
+        }
+        const sorted = positions.slice().sort((a, b) => Math.abs(a.diff) - Math.abs(b.diff));
+        return sorted.map(pos => {
+            const colorClass = fit === 'overfit' ? getOverfitColorClass(pos.diff, 0) : 'text-red';
+            return `<span class="${colorClass}">${format3DPosition(pos)} (${pos.diff.toFixed(3)})</span>`;
+        }).join('; ');
+    }
+
+    /**
+     * Sort coupling results by Gear A (numeric), then Gear B
+     * @param {Array} results - Array of result objects
+     */
+    function sortCouplings(results) {
+        results.sort((a, b) => {
+            const sortA = getGearSortValue(a.gearA);
+            const sortB = getGearSortValue(b.gearA);
+            if (sortA !== sortB) return sortA - sortB;
+            return getGearSortValue(a.gearB) - getGearSortValue(b.gearB);
+        });
+    }
+
     /**
      * Calculate all gear coupling combinations
      * @param {Array} selectedTeeth - Array of selected teeth values
@@ -224,14 +230,42 @@
             }
         }
 
-        // Sort by Gear A (numeric), then Gear B
-        results.sort((a, b) => {
-            const sortA = getGearSortValue(a.gearA);
-            const sortB = getGearSortValue(b.gearA);
-            if (sortA !== sortB) return sortA - sortB;
-            return a.gearB - b.gearB;
-        });
+        sortCouplings(results);
+        return results;
+    }
+
+    /**
+     * Calculate all gear coupling combinations on perpendicular axles.
+     * Pairs that cannot mesh at a right angle (spur gear pieces, mixed knob wheels) are left out.
+     * @param {Array} selectedTeeth - Array of selected teeth values (may include 'knob')
+     * @param {number} maxOverfit - Maximum overfit tolerance
+     * @param {number} maxUnderfit - Maximum underfit tolerance
+     * @returns {Array} Array of result objects
+     */
+    function calculatePerpendicularCouplings(selectedTeeth, maxOverfit, maxUnderfit) {
+        const results = [];
+
+        for (const gearA of selectedTeeth) {
+            for (const gearB of selectedTeeth) {
+                const offset = calculatePerpendicularOffset(gearA, gearB);
+                if (!offset) continue;
 
+                const positions = findPerpendicularPositions(offset, maxOverfit, maxUnderfit);
+
+                results.push({
+                    kind: MESH_KIND_NAMES[offset.kind],
+                    gearA: gearA,
+                    gearB: gearB,
+                    ratio: calculateGearRatio(gearA, gearB),
+                    offset: format3DPosition(offset),
+                    exact: positions.exact,
+                    overfit: positions.overfit,
+                    underfit: positions.underfit
+                });
+            }
+        }
+
+        sortCouplings(results);
         return results;
     }
 
@@ -276,6 +310,23 @@
             checkboxContainer.appendChild(label);
         });
 
+        // Knob wheels only mesh at a right angle, so they are offered for perpendicular axles only
+        const knobLabel = document.createElement('label');
+        knobLabel.id = 'gear-knob-option';
+        knobLabel.style.display = 'none';
+        knobLabel.style.alignItems = 'center';
+        knobLabel.style.gap = '0.25rem';
+
+        const knobCheckbox = document.createElement('input');
+        knobCheckbox.type = 'checkbox';
+        knobCheckbox.id = `gear-tooth-${KNOB_WHEEL.value}`;
+        knobCheckbox.value = KNOB_WHEEL.value;
+        knobCheckbox.checked = true;
+
+        knobLabel.appendChild(knobCheckbox);
+        knobLabel.appendChild(document.createTextNode(KNOB_WHEEL.label));
+        checkboxContainer.appendChild(knobLabel);
+
         // Custom input
         const customLabel = document.createElement('label');
         customLabel.style.display = 'inline-flex';
@@ -298,6 +349,28 @@
         teethGroup.appendChild(checkboxContainer);
         controls.appendChild(teethGroup);
 
+        // Axle Arrangement
+        const meshGroup = document.createElement('div');
+        meshGroup.className = 'control-group';
+
+        const meshLabel = document.createElement('label');
+        meshLabel.htmlFor = 'gear-mesh';
+        meshLabel.textContent = 'Axles';
+        meshGroup.appendChild(meshLabel);
+
+        const meshSelect = document.createElement('select');
+        meshSelect.id = 'gear-mesh';
+        meshSelect.innerHTML = `
+            <option value="parallel">Parallel (spur)</option>
+            <option value="perpendicular">Perpendicular (bevel, knob wheel, worm)</option>
+        `;
+        meshSelect.addEventListener('change', () => {
+            knobLabel.style.display = meshSelect.value === 'perpendicular' ? 'inline-flex' : 'none';
+            onCalculate();
+        });
+        meshGroup.appendChild(meshSelect);
+        controls.appendChild(meshGroup);
+
         // Max Overfit Distance
         const overfitGroup = document.createElement('div');
         overfitGroup.className = 'control-group';
@@ -355,9 +428,10 @@
 
     /**
      * Get selected teeth values from UI
+     * @param {string} mesh - 'parallel' or 'perpendicular'; knob wheels only count for perpendicular axles
      * @returns {Array} Array of selected teeth values
      */
-    function getSelectedTeeth() {
+    function getSelectedTeeth(mesh) {
         const selected = [];
 
         STANDARD_TEETH.forEach(tooth => {
@@ -367,6 +441,11 @@
             }
         });
 
+        const knobCheckbox = document.getElementById(`gear-tooth-${KNOB_WHEEL.value}`);
+        if (mesh === 'perpendicular' && knobCheckbox && knobCheckbox.checked) {
+            selected.push(KNOB_WHEEL.value);
+        }
+
         // Parse custom input
         const customInput = document.getElementById('gear-custom-teeth');
         if (customInput && customInput.value.trim()) {
@@ -382,16 +461,87 @@
         return selected;
     }
 
+    /**
+     * Columns for couplings on perpendicular axles
+     * @returns {Array} Array of column definitions
+     */
+    function getPerpendicularColumns() {
+        const formatGear = (value) => value === KNOB_WHEEL.value ? KNOB_WHEEL.label : value;
+        const exportPositions = (value) => value.map(format3DPosition).join('; ');
+        return [
+            {
+                key: 'kind',
+                label: 'Mesh',
+                type: 'text'
+            },
+            {
+                key: 'gearA',
+                label: 'A',
+                type: 'text',
+                formatter: formatGear
+            },
+            {
+                key: 'gearB',
+                label: 'B',
+                type: 'text',
+                formatter: formatGear
+            },
+            {
+                key: 'ratio',
+                label: 'Ratio',
+                type: 'number',
+                formatter: (value) => value.toFixed(2)
+            },
+            {
+                key: 'offset',
+                label: 'Offset x×y×z',
+                type: 'text'
+            },
+            {
+                key: 'exact',
+                label: 'Exact',
+                type: 'text',
+                formatter: (value) => format3DList(value, 'exact'),
+                exportFormatter: exportPositions
+            },
+            {
+                key: 'overfit',
+                label: 'Overfit',
+                type: 'text',
+                formatter: (value) => format3DList(value, 'overfit'),
+                exportFormatter: exportPositions
+            },
+            {
+                key: 'underfit',
+                label: 'Underfit',
+                type: 'text',
+                formatter: (value) => format3DList(value, 'underfit'),
+                exportFormatter: exportPositions
+            }
+        ];
+    }
+
     /**
      * Create and configure the data table
      * @param {HTMLElement} container - Container element
+     * @param {string} mesh - 'parallel' or 'perpendicular'
      * @returns {DataTable} The configured table instance
      */
-    function createDataTable(container) {
-        // Create table container div
+    function createDataTable(container, mesh) {
+        // Create table container div, replacing the table of the other axle arrangement
+        const oldContainer = document.getElementById('gear-couplings-table');
+
         const tableContainer = document.createElement('div');
         tableContainer.id = 'gear-couplings-table';
-        container.appendChild(tableContainer);
+        if (oldContainer) {
+            oldContainer.replaceWith(tableContainer);
+        } else {
+            container.appendChild(tableContainer);
+        }
+
+        if (mesh === 'perpendicular') {
+            return new DataTable('gear-couplings-table', getPerpendicularColumns());
+        }
 
         const columns = [
             {
@@ -445,6 +595,178 @@
         return table;
     }
 
+    /**
+     * Parse a target ratio as "A:B" teeth or a plain number
+     * @param {string} text - Ratio input
+     * @returns {number|null|undefined} Ratio, null for an empty input, undefined if invalid
+     */
+    function parseTargetRatio(text) {
+        const trimmed = text.trim();
+        if (!trimmed) return null;
+
+        const parts = trimmed.split(':').map(v => parseFloat(v));
+        if (parts.length > 2 || parts.some(v => isNaN(v) || v <= 0)) return undefined;
+        return parts.length === 2 ? parts[0] / parts[1] : parts[0];
+    }
+
+    /**
+     * Format a gear train's worst mesh fit with the overfit/underfit colors
+     * @param {number} diff - Signed deviation from the ideal center distance
+     * @returns {string} HTML string
+     */
+    function formatTrainFit(diff) {
+        if (Math.abs(diff) < 0.0001) return '<span class="text-black">0.000</span>';
+        const colorClass = diff > 0 ? getOverfitColorClass(diff, 0) : 'text-red';
+        return `<span class="${colorClass}">${diff.toFixed(3)}</span>`;
+    }
+
+    /**
+     * Turn gear trains into table rows
+     * @param {Array} trains - Trains from GearData.findGearTrains()
+     * @returns {Array} Array of result objects
+     */
+    function getTrainRows(trains) {
+        return trains.map(train => {
+            const worst = train.diffs.reduce((a, b) => Math.abs(b) > Math.abs(a) ? b : a, 0);
+            return {
+                gears: train.teeth.join(' → '),
+                idlers: train.teeth.length - 2,
+                ratio: train.ratio,
+                direction: train.reversed ? 'Reversed' : 'Same',
+                idlerPositions: train.positions.slice(1, -1).map(formatExactPosition).join('; ') || '--',
+                fit: worst
+            };
+        });
+    }
+
+    /**
+     * Create the gear train finder: controls, summary and its own table
+     * @param {HTMLElement} container - The module container
+     */
+    function createTrainFinder(container) {
+        const section = document.createElement('div');
+        section.className = 'gear-train-finder';
+        section.innerHTML = `
+            <h3>Gear Train Finder</h3>
+            <p class="gear-train-hint">Chains of gear pieces between two axle holes on the half-stud grid:
+            a gear piece on each axle and up to ${MAX_IDLERS} idlers in between, all in one plane. Uses the
+            gear teeth selection and fit tolerances above (worms are skipped).</p>
+            <div class="controls-section">
+                <div class="control-group">
+                    <label for="gear-train-start-x">Start X</label>
+                    <input type="number" id="gear-train-start-x" value="0" step="0.5">
+                </div>
+                <div class="control-group">
+                    <label for="gear-train-start-y">Start Y</label>
+                    <input type="number" id="gear-train-start-y" value="0" step="0.5">
+                </div>
+                <div class="control-group">
+                    <label for="gear-train-end-x">End X</label>
+                    <input type="number" id="gear-train-end-x" value="3" step="0.5">
+                </div>
+                <div class="control-group">
+                    <label for="gear-train-end-y">End Y</label>
+                    <input type="number" id="gear-train-end-y" value="1" step="0.5">
+                </div>
+                <div class="control-group">
+                    <label for="gear-train-idlers">Max Idlers</label>
+                    <input type="number" id="gear-train-idlers" value="1" min="0" max="${MAX_IDLERS}" step="1">
+                </div>
+                <div class="control-group">
+                    <label for="gear-train-ratio">Ratio A:B (optional)</label>
+                    <input type="text" id="gear-train-ratio" placeholder="e.g., 1:3">
+                </div>
+                <div class="control-group" style="justify-content: flex-end; align-self: flex-end;">
+                    <button id="gear-train-find" class="btn btn-primary">Find Trains</button>
+                </div>
+            </div>
+            <p class="gear-train-summary" id="gear-train-summary"></p>
+            <div id="gear-trains-table"></div>
+        `;
+        container.appendChild(section);
+
+        const columns = [
+            {
+                key: 'gears',
+                label: 'Gears',
+                type: 'text'
+            },
+            {
+                key: 'idlers',
+                label: 'Idlers',
+                type: 'number'
+            },
+            {
+                key: 'ratio',
+                label: 'Ratio',
+                type: 'number',
+                formatter: (value) => value.toFixed(2)
+            },
+            {
+                key: 'direction',
+                label: 'Direction',
+                type: 'text'
+            },
+            {
+                key: 'idlerPositions',
+                label: 'Idler Positions',
+                type: 'text'
+            },
+            {
+                key: 'fit',
+                label: 'Worst Fit',
+                type: 'number',
+                formatter: (value) => formatTrainFit(value),
+                exportFormatter: (value) => value.toFixed(3)
+            }
+        ];
+
+        const table = new DataTable('gear-trains-table', columns);
+        table.setData([]);
+        table.render();
+
+        document.getElementById('gear-train-find').addEventListener('click', () => {
+            // Snap positions to the half-stud grid
+            const readPosition = (id) => Math.round((parseFloat(document.getElementById(id).value) || 0) * 2) / 2;
+            const start = { x: readPosition('gear-train-start-x'), y: readPosition('gear-train-start-y') };
+            const end = { x: readPosition('gear-train-end-x'), y: readPosition('gear-train-end-y') };
+
+            if (start.x === end.x && start.y === end.y) {
+                alert('Start and end axle positions must differ.');
+                return;
+            }
+
+            const ratio = parseTargetRatio(document.getElementById('gear-train-ratio').value);
+            if (ratio === undefined) {
+                alert('Please enter the ratio as A:B teeth (e.g., 1:3) or a number.');
+                return;
+            }
+
+            const selectedTeeth = getSelectedTeeth('parallel').filter(t => typeof t === 'number');
+            if (selectedTeeth.length === 0) {
+                alert('Please select at least one gear tooth count other than worms.');
+                return;
+            }
+
+            const idlerInput = parseInt(document.getElementById('gear-train-idlers').value, 10);
+            const maxIdlers = Math.min(MAX_IDLERS, Math.max(0, isNaN(idlerInput) ? 1 : idlerInput));
+            const maxOverfit = parseFloat(document.getElementById('gear-max-overfit').value) || 0.2;
+            const maxUnderfit = parseFloat(document.getElementById('gear-max-underfit').value) || 0.1;
+
+            const result = findGearTrains(start, end, selectedTeeth, maxIdlers, maxOverfit, maxUnderfit, ratio);
+
+            const summary = document.getElementById('gear-train-summary');
+            const distance = Math.hypot(end.x - start.x, end.y - start.y);
+            const count = result.trains.length;
+            summary.textContent = `${count} gear train${count === 1 ? '' : 's'} from ${formatExactPosition(start)} to ` +
+                `${formatExactPosition(end)} (${distance.toFixed(3)} studs apart)` +
+                (result.truncated ? ' — search stopped early, narrow it down with a ratio or fewer idlers' : '');
+
+            table.setData(getTrainRows(result.trains));
+            table.render();
+        });
+    }
+
     /**
      * Initialize the gears module
      */
@@ -468,12 +790,14 @@
         `;
         container.appendChild(header);
 
-        // Variable to hold the table reference
+        // Variable to hold the table reference and the axle arrangement it shows
         let dataTable = null;
+        let tableMesh = 'parallel';
 
         // Create controls with calculate callback
         createControls(container, function() {
-            const selectedTeeth = getSelectedTeeth();
+            const mesh = document.getElementById('gear-mesh').value;
+            const selectedTeeth = getSelectedTeeth(mesh);
 
             if (selectedTeeth.length === 0) {
                 alert('Please select at least one gear tooth count.');
@@ -483,11 +807,14 @@
             const maxOverfit = parseFloat(document.getElementById('gear-max-overfit').value) || 0.2;
             const maxUnderfit = parseFloat(document.getElementById('gear-max-underfit').value) || 0.1;
 
-            const results = calculateGearCouplings(selectedTeeth, maxOverfit, maxUnderfit);
+            const results = mesh === 'perpendicular'
+                ? calculatePerpendicularCouplings(selectedTeeth, maxOverfit, maxUnderfit)
+                : calculateGearCouplings(selectedTeeth, maxOverfit, maxUnderfit);
 
-            // Create table if it doesn't exist
-            if (!dataTable) {
-                dataTable = createDataTable(container);
+            // Create table if it doesn't exist or shows the other axle arrangement
+            if (!dataTable || tableMesh !== mesh) {
+                dataTable = createDataTable(container, mesh);
+                tableMesh = mesh;
             }
 
             dataTable.setData(results);
@@ -495,9 +822,11 @@
         });
 
         // Create initial empty table
-        dataTable = createDataTable(container);
+        dataTable = createDataTable(container, tableMesh);
         dataTable.setData([]);
         dataTable.render();
+
+        createTrainFinder(container);
     }
 
     // Register the module
@@ -0,0 +1,85 @@
+/**
+ * Gear data tests - perpendicular mesh offsets and the gear train search
+ * Run from the repository root: node --test tests/
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GearData = require('../docs/lib/gear-data.js');
+
+// ==================== Perpendicular Meshes ====================
+
+test('bevel gear pieces sit a quarter stud beyond the other one\'s pitch radius', () => {
+    assert.deepEqual(GearData.calculatePerpendicularOffset(12, 12), { kind: 'bevel', x: 1, y: 1, z: 0 });
+    assert.deepEqual(GearData.calculatePerpendicularOffset(12, 20), { kind: 'bevel', x: 1.5, y: 1, z: 0 });
+});
+
+test('knob wheels only mesh with knob wheels', () => {
+    assert.deepEqual(GearData.calculatePerpendicularOffset('knob', 'knob'), { kind: 'knob', x: 1, y: 1, z: 0 });
+    assert.equal(GearData.calculatePerpendicularOffset('knob', 12), null);
+});
+
+test('a worm drives its wheel across the center distance, never the other way round', () => {
+    assert.deepEqual(GearData.calculatePerpendicularOffset('1(2L)', 24), { kind: 'worm', x: 0, y: 0, z: 2 });
+    assert.deepEqual(GearData.calculatePerpendicularOffset('1(1L)', 24), { kind: 'worm', x: 0, y: 0, z: 2.25 });
+    assert.equal(GearData.calculatePerpendicularOffset(24, '1(1L)'), null);
+    assert.equal(GearData.calculatePerpendicularOffset(16, 16), null);
+});
+
+test('perpendicular positions use half studs or plates along one axis', () => {
+    const bevel = GearData.findPerpendicularPositions(GearData.calculatePerpendicularOffset(12, 28), 0.3, 0.3);
+    assert.deepEqual(bevel.exact.map(p => [p.x, p.y, p.z, p.plateAxis]), [[2, 1, 0, null]]);
+    assert.deepEqual(bevel.overfit.map(p => [p.x, p.y, p.plateAxis]), [[2, 1.2, 'y']]);
+    assert.deepEqual(bevel.underfit.map(p => [p.x, p.y, p.plateAxis]), [[2, 0.8, 'y']]);
+
+    // 2.25 studs is no half-stud value; six plates (2.4 studs) come closest
+    const worm = GearData.findPerpendicularPositions(GearData.calculatePerpendicularOffset('1(1L)', 24), 0.2, 0.2);
+    assert.deepEqual(worm.exact, []);
+    assert.deepEqual(worm.overfit.map(p => [p.z, p.plateAxis]), [[2.4, 'z']]);
+    assert.ok(Math.abs(worm.overfit[0].diff - 0.15) < 1e-9);
+});
+
+// ==================== Gear Trains ====================
+
+test('gear trains without idlers reverse the direction', () => {
+    const result = GearData.findGearTrains({ x: 0, y: 0 }, { x: 2, y: 0 }, [8, 16, 24], 0, 0, 0);
+
+    assert.equal(result.truncated, false);
+    assert.deepEqual(result.trains.map(t => [t.teeth, t.ratio, t.reversed]), [
+        [[8, 24], 1 / 3, true],
+        [[16, 16], 1, true],
+        [[24, 8], 3, true]
+    ]);
+});
+
+test('one idler keeps the direction and places the idler between the axles', () => {
+    const result = GearData.findGearTrains({ x: 0, y: 0 }, { x: 3, y: 0 }, [8, 16, 24], 1, 0, 0, 1 / 3);
+
+    assert.equal(result.trains.length, 1);
+    const train = result.trains[0];
+    assert.deepEqual(train.teeth, [8, 8, 24]);
+    assert.deepEqual(train.positions, [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 3, y: 0 }]);
+    assert.equal(train.ratio, 1 / 3);
+    assert.equal(train.reversed, false);
+});
+
+test('a ratio no pair of gear pieces makes ends the search at once', () => {
+    const spur = [8, 12, 16, 20, 24, 28, 36, 40];
+    const started = Date.now();
+    const result = GearData.findGearTrains({ x: 0, y: 0 }, { x: 6, y: 2.5 }, spur, 3, 0.1, 0.1, 7);
+
+    assert.deepEqual(result, { trains: [], truncated: false });
+    assert.ok(Date.now() - started < 500);
+});
+
+test('a large gear train search stops early and says so', () => {
+    const spur = [8, 12, 16, 20, 24, 28, 36, 40];
+    const result = GearData.findGearTrains({ x: 0, y: 0 }, { x: 6, y: 2.5 }, spur, 3, 0.1, 0.1);
+
+    assert.equal(result.truncated, true);
+    assert.ok(result.trains.length > 0);
+    // Fewest gear pieces first
+    const lengths = result.trains.map(t => t.teeth.length);
+    assert.deepEqual(lengths, [...lengths].sort((a, b) => a - b));
+});
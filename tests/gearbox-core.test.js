@@ -0,0 +1,244 @@
+/**
+ * Gearbox core tests - solver, torque propagation and synthesis under Node
+ * Run from the repository root: node --test tests/
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Core = require('../docs/lib/gearbox-core.js');
+
+// ==================== Helpers ====================
+
+/**
+ * Build a design from the export JSON form
+ * @param {Array<string>} modeNames - One entry per gear mode
+ * @param {number} numAxles - Axles 1..numAxles
+ * @param {Array} tools - Tools in the export form; a source on axle 1 is added in front
+ * @returns {Object} Design in the form returned by parseDesign()
+ */
+function buildDesign(modeNames, numAxles, tools) {
+    const design = Core.parseDesign({
+        schema: 'technic-tools/gearbox',
+        version: Core.DESIGN_VERSION,
+        gearModes: modeNames.map(name => ({ name })),
+        axles: Array.from({ length: numAxles }, (_, i) => ({ id: i + 1 })),
+        tools: [{ id: 'source', type: 'source', params: {}, connections: [{ name: 'Output', axleId: 1 }] }, ...tools]
+    });
+    assert.deepEqual(design.problems, []);
+    return design;
+}
+
+/**
+ * Coupling in the export form
+ * @param {string} id - Tool id
+ * @param {number} a - Gear A axle
+ * @param {number} b - Gear B axle
+ * @param {number} teethA - Gear A teeth
+ * @param {number} teethB - Gear B teeth
+ * @returns {Object} Tool
+ */
+function coupling(id, a, b, teethA, teethB) {
+    return {
+        id: id, type: 'coupling', params: { teethA: teethA, teethB: teethB, invertDirection: true },
+        connections: [{ name: 'Gear A', axleId: a }, { name: 'Gear B', axleId: b }]
+    };
+}
+
+/**
+ * Selector, differential, planetary or worm in the export form
+ * @param {string} id - Tool id
+ * @param {string} type - Tool type
+ * @param {Object} params - Tool params
+ * @param {Object} axles - Connection name -> axle id (missing names stay unconnected)
+ * @returns {Object} Tool
+ */
+function tool(id, type, params, axles) {
+    const names = {
+        selector: ['Center', 'A', 'B'],
+        differential: ['Body', 'A', 'B'],
+        planetary: ['Sun', 'Carrier', 'Ring'],
+        worm: ['Worm', 'Wheel']
+    }[type];
+    return { id: id, type: type, params: params, connections: names.map(name => ({ name: name, axleId: axles[name] || null })) };
+}
+
+/**
+ * Exact speed and torque of an axle as strings
+ * @param {Object} result - One gear mode of computeDesign()
+ * @param {number} axleId - Axle id
+ * @returns {Array<string>} [speed, torque]
+ */
+function axleValue(result, axleId) {
+    const value = result.axles.get(axleId);
+    return [value.speedExact.toString(), value.torqueExact.toString()];
+}
+
+// ==================== Parsing ====================
+
+test('efficiencies outside 0 < e <= 100 are rejected like on load', () => {
+    const broken = coupling('tool_1', 1, 2, 8, 24);
+    broken.params.efficiency = 0;
+    const design = Core.parseDesign({
+        schema: 'technic-tools/gearbox',
+        version: Core.DESIGN_VERSION,
+        gearModes: [{ name: '' }],
+        axles: [{ id: 1 }, { id: 2 }],
+        tools: [broken]
+    });
+
+    assert.ok(design.problems.includes('Coupling tool_1: invalid efficiency 0, using 95%'));
+    assert.equal(design.tools[0].params.efficiency, undefined);
+    assert.deepEqual([0, 0.5, 100, 101, NaN, '50'].map(Core.isValidEfficiency), [false, true, true, false, false, false]);
+});
+
+test('invalid selector selections are reported with the gear mode name', () => {
+    const design = Core.parseDesign({
+        schema: 'technic-tools/gearbox',
+        version: Core.DESIGN_VERSION,
+        gearModes: [{ name: 'Low' }, { name: 'Reverse' }],
+        axles: [{ id: 1 }],
+        tools: [tool('tool_1', 'selector', { mode1: 'A', mode2: 'C' }, { Center: 1 })]
+    });
+
+    assert.ok(design.problems.includes('Selector tool_1: invalid selection "C" in Reverse, using Locked'));
+});
+
+// ==================== Jams and Free Axles ====================
+
+test('two couplings with different ratios between the same axles jam', () => {
+    const design = buildDesign([''], 2, [coupling('tool_1', 1, 2, 8, 24), coupling('tool_2', 1, 2, 16, 16)]);
+    const result = Core.computeDesign(design)[1];
+
+    assert.equal(result.jammed.length, 1);
+    assert.deepEqual(result.jammed[0].axles, [1, 2]);
+    assert.match(result.status.get('tool_1').error, /^Jammed with /);
+    assert.match(result.status.get('tool_2').error, /^Jammed with /);
+});
+
+test('a coupling chain solves exactly and reduces torque by the mesh efficiency', () => {
+    const design = buildDesign([''], 3, [coupling('tool_1', 1, 2, 8, 24), coupling('tool_2', 2, 3, 8, 24)]);
+    const result = Core.computeDesign(design)[1];
+
+    assert.deepEqual(result.jammed, []);
+    assert.deepEqual(result.free, []);
+    assert.deepEqual(axleValue(result, 2), ['-1/3', '57/20']);
+    assert.deepEqual(axleValue(result, 3), ['1/9', '3249/400']);
+});
+
+test('axles nothing determines are reported as free-spinning', () => {
+    const design = buildDesign([''], 3, [tool('tool_1', 'differential', {}, { Body: 1, A: 2, B: 3 })]);
+    const result = Core.computeDesign(design)[1];
+
+    assert.deepEqual(result.jammed, []);
+    assert.deepEqual(result.free, [2, 3]);
+    assert.equal(result.status.get('tool_1').flagged, true);
+});
+
+// ==================== Differentials ====================
+
+test('differential with one side held drives the other at twice the body speed', () => {
+    const design = buildDesign([''], 3, [
+        tool('tool_1', 'differential', {}, { Body: 1, A: 2, B: 3 }),
+        tool('tool_2', 'selector', { mode1: 'Locked' }, { Center: 2 })
+    ]);
+    const result = Core.computeDesign(design)[1];
+
+    assert.deepEqual(result.free, []);
+    assert.deepEqual(axleValue(result, 2), ['0', '9/20']);
+    assert.deepEqual(axleValue(result, 3), ['2', '9/20']);
+});
+
+test('differential driven from both sides turns the body at their mean speed', () => {
+    const design = buildDesign([''], 3, [
+        coupling('tool_1', 1, 2, 16, 16),
+        tool('tool_2', 'differential', {}, { Body: 3, A: 1, B: 2 })
+    ]);
+    const result = Core.computeDesign(design)[1];
+
+    assert.deepEqual(result.jammed, []);
+    assert.equal(result.axles.get(3).speedExact.toString(), '0');
+});
+
+// ==================== Worms ====================
+
+test('worm drives its wheel one tooth per turn', () => {
+    const design = buildDesign([''], 2, [tool('tool_1', 'worm', { worm: '1(1L)', teethWheel: 24, invertDirection: true }, { Worm: 1, Wheel: 2 })]);
+    const result = Core.computeDesign(design)[1];
+
+    assert.equal(result.status.get('tool_1').error, null);
+    assert.deepEqual(axleValue(result, 2), ['-1/24', '48/5']);
+});
+
+test('worm turned through its wheel is reported as back-driven', () => {
+    const design = buildDesign([''], 2, [tool('tool_1', 'worm', { worm: '1(1L)', teethWheel: 24, invertDirection: true }, { Worm: 2, Wheel: 1 })]);
+    const result = Core.computeDesign(design)[1];
+
+    assert.equal(result.status.get('tool_1').error, 'Worm cannot be back-driven');
+});
+
+// ==================== Planetary ====================
+
+test('planetary set with the carrier held reverses sun to ring', () => {
+    const design = buildDesign([''], 3, [
+        tool('tool_1', 'planetary', { teethSun: 12, teethRing: 36 }, { Sun: 1, Carrier: 2, Ring: 3 }),
+        tool('tool_2', 'selector', { mode1: 'Locked' }, { Center: 2 })
+    ]);
+    const result = Core.computeDesign(design)[1];
+
+    assert.deepEqual(axleValue(result, 3), ['-1/3', '27/10']);
+});
+
+test('planetary set locked by a selector turns as a block and passes torque through', () => {
+    const design = buildDesign(['Reduction', 'Direct'], 3, [
+        tool('tool_1', 'planetary', { teethSun: 12, teethRing: 36 }, { Sun: 1, Carrier: 2, Ring: 3 }),
+        tool('tool_2', 'selector', { mode1: 'Locked', mode2: 'A' }, { Center: 3, A: 1 })
+    ]);
+    const results = Core.computeDesign(design);
+
+    // Ring held: 1:4 reduction, four times the torque less the mesh loss
+    assert.deepEqual(axleValue(results[1], 2), ['1/4', '18/5']);
+    // Ring locked to the sun: direct drive, output power equals input power
+    assert.deepEqual(axleValue(results[2], 2), ['1', '1']);
+});
+
+test('planetary reduction template delivers the input power in Direct', () => {
+    const template = Core.TEMPLATES.find(t => t.id === 'planetary-reduction');
+    const results = Core.computeDesign(Core.buildTemplateDesign(template));
+
+    assert.deepEqual(axleValue(results[2], template.output), ['1', '1']);
+});
+
+// ==================== Synthesis ====================
+
+test('synthesis candidates reach the target ratios when solved', () => {
+    const targets = [1 / 3, 1, 5 / 3];
+    const result = Core.synthesizeGearbox({ targets: targets, gearSet: [8, 12, 16, 20, 24], maxCouplings: 8, maxSelectors: 3, tolerance: 0.02 });
+
+    assert.equal(result.problem, null);
+    assert.ok(result.candidates.length > 0);
+    for (const candidate of result.candidates) {
+        const ratios = Core.verifyDesignRatios(Core.buildSynthesisDesign(candidate.paths), 1, 2);
+        ratios.forEach((ratio, i) => {
+            assert.ok(Math.abs(Math.abs(ratio.toNumber()) - targets[i]) / targets[i] <= 0.02);
+        });
+    }
+    // Fewest parts first
+    const parts = result.candidates.map(c => c.couplings + c.selectors);
+    assert.deepEqual(parts, [...parts].sort((a, b) => a - b));
+});
+
+test('synthesis of many gear modes stays bounded', () => {
+    const targets = [1 / 3, 1 / 2, 3 / 5, 1, 5 / 3, 2, 3, 1 / 5, 5, 3 / 4, 4 / 3, 2 / 5];
+    const result = Core.synthesizeGearbox({ targets: targets, gearSet: [8, 12, 16, 20, 24, 28, 36, 40], maxCouplings: 40, maxSelectors: 6, tolerance: 0.02 });
+
+    assert.ok(result.candidates.length > 0);
+    assert.equal(result.candidates[0].couplings, 12);
+});
+
+test('synthesis reports a gear mode no gear path reaches', () => {
+    const result = Core.synthesizeGearbox({ targets: [7], gearSet: [8], maxCouplings: 8, maxSelectors: 3, tolerance: 0 });
+
+    assert.deepEqual(result.candidates, []);
+    assert.match(result.problem, /^No gear path reaches/);
+});
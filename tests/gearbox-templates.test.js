@@ -0,0 +1,20 @@
+/**
+ * Gearbox template tests - every built-in template must solve to its documented ratios
+ * Run from the repository root: node --test tests/
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Core = require('../docs/lib/gearbox-core.js');
+
+for (const template of Core.TEMPLATES) {
+    test(`template ${template.name} solves to its documented ratios`, () => {
+        const design = Core.buildTemplateDesign(template);
+        assert.deepEqual(design.problems, []);
+
+        const ratios = Core.verifyDesignRatios(design, template.input, template.output);
+        assert.deepEqual(ratios.map(ratio => ratio === null ? null : ratio.toString()), template.ratios);
+        assert.equal(Core.verifyTemplate(template).ok, true);
+    });
+}
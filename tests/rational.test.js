@@ -0,0 +1,41 @@
+/**
+ * Rational tests - exact fractions for gear ratios
+ * Run from the repository root: node --test tests/
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Rational = require('../docs/lib/rational.js');
+
+test('fractions are reduced with a positive denominator', () => {
+    assert.equal(new Rational(12, -20).toString(), '-3/5');
+    assert.equal(new Rational(24, 8).toString(), '3');
+    assert.throws(() => new Rational(1, 0), RangeError);
+});
+
+test('decimals convert to the exact fraction they are written as', () => {
+    assert.equal(Rational.from(0.1).toString(), '1/10');
+    assert.equal(Rational.from(1.5).toString(), '3/2');
+    assert.equal(Rational.from(-0.125).toString(), '-1/8');
+    assert.equal(Rational.from(2.5e-7).toString(), '1/4000000');
+    assert.equal(Rational.from(1e21).toString(), '1000000000000000000000');
+    assert.equal(Rational.from(7).toString(), '7');
+    assert.throws(() => Rational.from(NaN), RangeError);
+    assert.throws(() => Rational.from(Infinity), RangeError);
+});
+
+test('a gear chain multiplies out exactly', () => {
+    const ratio = new Rational(12, 20).mul(new Rational(20, 28)).mul(new Rational(8, 24));
+    assert.equal(ratio.toString(), '1/7');
+    assert.ok(ratio.equals(new Rational(1, 7)));
+    assert.ok(Rational.from(0.1).add(0.2).equals(new Rational(3, 10)));
+});
+
+test('compare orders fractions exactly', () => {
+    assert.equal(new Rational(1, 3).compare(new Rational(1, 3)), 0);
+    assert.equal(new Rational(1, 3).compare(0.3333333333333333), 1);
+    assert.equal(new Rational(-1, 2).compare(new Rational(1, 3)), -1);
+    const sorted = [new Rational(5, 3), new Rational(-1, 3), new Rational(1, 1)].sort((a, b) => a.compare(b));
+    assert.deepEqual(sorted.map(r => r.toString()), ['-1/3', '1', '5/3']);
+});